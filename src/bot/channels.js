@@ -1,10 +1,42 @@
 import fs from 'fs/promises';
-import { CHANNELS_CACHE_FILE, CLEAR_CHANNEL_CACHE } from './config.js';
+import { CHANNELS_CACHE_FILE, CLEAR_CHANNEL_CACHE, INCLUDE_ARCHIVED } from './config.js';
+
+async function readChannelCache() {
+  try {
+    return JSON.parse(await fs.readFile(CHANNELS_CACHE_FILE, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
 
 /**
- * Fetch all channels in the workspace
+ * Carry renames and archiving over from the channel's entry in the previous cache
+ * previous_names is Slack's list plus any name the channel had before. Slack doesn't say when a
+ * channel was archived, so archived_at (unix seconds) is the channel's last update when first seen archived
+ */
+function withLifecycle(channel, previous) {
+  const previousNames = new Set([...(channel.previous_names || []), ...(previous?.previous_names || [])]);
+  if (previous?.name) {
+    previousNames.add(previous.name);
+  }
+  previousNames.delete(channel.name);
+
+  let archivedAt = null;
+  if (channel.is_archived) {
+    // updated is in milliseconds
+    archivedAt = previous?.archived_at || (channel.updated ? Math.floor(channel.updated / 1000) : null);
+  }
+
+  return { ...channel, previous_names: Array.from(previousNames), archived_at: archivedAt };
+}
+
+/**
+ * Fetch all channels in the workspace (archived ones too with INCLUDE_ARCHIVED)
  */
 export async function getAllChannels(webClient) {
+  // Read before clearing, so a refreshed list keeps the renames and archive dates seen so far
+  const previousCache = await readChannelCache();
+
   // Clear cache if flag is set
   if (CLEAR_CHANNEL_CACHE) {
     console.log('[INFO] CLEAR_CHANNEL_CACHE flag set, deleting cache...');
@@ -18,13 +50,13 @@ export async function getAllChannels(webClient) {
 
   // Try to load from cache first
   if (!CLEAR_CHANNEL_CACHE) {
-    try {
-      const cacheData = await fs.readFile(CHANNELS_CACHE_FILE, 'utf-8');
-      const cache = JSON.parse(cacheData);
-      console.log(`[INFO] Loaded ${cache.channels.length} channels from cache (cached at ${cache.cachedAt})`);
-      return cache.channels;
-    } catch (error) {
+    if (!previousCache) {
       console.log('[INFO] No channel cache found, fetching from API...');
+    } else if (INCLUDE_ARCHIVED && !previousCache.includeArchived) {
+      console.log('[INFO] Channel cache has no archived channels, fetching from API...');
+    } else {
+      console.log(`[INFO] Loaded ${previousCache.channels.length} channels from cache (cached at ${previousCache.cachedAt})`);
+      return INCLUDE_ARCHIVED ? previousCache.channels : previousCache.channels.filter(channel => !channel.is_archived);
     }
   }
 
@@ -37,7 +69,7 @@ export async function getAllChannels(webClient) {
     do {
       const result = await webClient.conversations.list({
         types: 'public_channel,private_channel',
-        exclude_archived: true,
+        exclude_archived: !INCLUDE_ARCHIVED,
         limit: 1000,
         cursor: cursor
       });
@@ -48,18 +80,22 @@ export async function getAllChannels(webClient) {
       console.log(`[INFO] Found ${allChannels.length} channels`);
     } while (cursor);
 
-    console.log(`[SUCCESS] Total channels found: ${allChannels.length}\n`);
+    console.log(`[SUCCESS] Total channels found: ${allChannels.length}${INCLUDE_ARCHIVED ? ` (${allChannels.filter(channel => channel.is_archived).length} archived)` : ''}\n`);
+
+    const previousChannels = new Map((previousCache?.channels || []).map(channel => [channel.id, channel]));
+    const channels = allChannels.map(channel => withLifecycle(channel, previousChannels.get(channel.id)));
 
     // Cache the results
     const cache = {
       cachedAt: new Date().toISOString(),
-      totalChannels: allChannels.length,
-      channels: allChannels
+      totalChannels: channels.length,
+      includeArchived: INCLUDE_ARCHIVED,
+      channels
     };
     await fs.writeFile(CHANNELS_CACHE_FILE, JSON.stringify(cache, null, 2), 'utf-8');
     console.log(`[INFO] Channels cached to ${CHANNELS_CACHE_FILE}\n`);
 
-    return allChannels;
+    return channels;
   } catch (error) {
     console.error('[ERROR] Failed to fetch channels:', error);
     throw error;
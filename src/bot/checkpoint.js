@@ -1,40 +1,90 @@
 import fs from 'fs/promises';
 import { CHECKPOINT_FILE, DEBUG } from './config.js';
 
+// Checkpoint writes are chained so concurrent workers never interleave them
+let writeQueue = Promise.resolve();
+
+function emptyCheckpoint() {
+  return { completedChannels: {}, inProgress: {} };
+}
+
 /**
  * Load checkpoint to resume from previous run
+ * Checkpoints from older versions (a single lastChannelIndex) are converted using the channel list
  */
-export async function loadCheckpoint() {
+export async function loadCheckpoint(channels) {
   if (DEBUG) {
     console.log('[DEBUG] Debug mode - skipping checkpoint loading');
-    return { lastChannelIndex: -1, processedChannels: [] };
+    return emptyCheckpoint();
   }
 
   try {
     const data = await fs.readFile(CHECKPOINT_FILE, 'utf-8');
-    const checkpoint = JSON.parse(data);
-    console.log('[INFO] Loaded checkpoint, resuming from channel index:', checkpoint.lastChannelIndex);
+    const saved = JSON.parse(data);
+    const checkpoint = { ...emptyCheckpoint(), ...saved };
+
+    if (saved.lastChannelIndex !== undefined && !saved.completedChannels) {
+      for (const channel of channels.slice(0, saved.lastChannelIndex + 1)) {
+        checkpoint.completedChannels[channel.id] = { messageCount: 0, latestTs: null };
+      }
+      checkpoint.inProgress = {};
+      if (saved.inProgress?.channelId) {
+        const { channelIndex, channelId, ...progress } = saved.inProgress;
+        checkpoint.inProgress[channelId] = progress;
+      }
+      delete checkpoint.lastChannelIndex;
+      delete checkpoint.lastChannelId;
+      delete checkpoint.lastMessageCount;
+    }
+
+    const inProgressCount = Object.keys(checkpoint.inProgress).length;
+    console.log(`[INFO] Loaded checkpoint: ${Object.keys(checkpoint.completedChannels).length} channels done, ${inProgressCount} to resume mid-channel`);
     return checkpoint;
   } catch (error) {
     console.log('[INFO] No checkpoint found, starting fresh');
-    return { lastChannelIndex: -1, processedChannels: [] };
+    return emptyCheckpoint();
   }
 }
 
 /**
  * Save checkpoint
+ * Written to a temporary file first so a crash mid-write can't corrupt it
  */
-export async function saveCheckpoint(channelIndex, channelId, messageCount) {
+export async function saveCheckpoint(checkpoint) {
   if (DEBUG) return; // Skip checkpoints in debug mode
 
-  const checkpoint = {
-    lastChannelIndex: channelIndex,
-    lastChannelId: channelId,
-    lastMessageCount: messageCount,
-    timestamp: new Date().toISOString()
-  };
-  await fs.writeFile(CHECKPOINT_FILE, JSON.stringify(checkpoint, null, 2), 'utf-8');
-  console.log('[CHECKPOINT] Saved at channel index:', channelIndex);
+  checkpoint.timestamp = new Date().toISOString();
+  const data = JSON.stringify(checkpoint, null, 2);
+
+  const write = writeQueue.then(async () => {
+    await fs.writeFile(`${CHECKPOINT_FILE}.tmp`, data, 'utf-8');
+    await fs.rename(`${CHECKPOINT_FILE}.tmp`, CHECKPOINT_FILE);
+  });
+  writeQueue = write.catch(() => {});
+  await write;
+}
+
+/**
+ * Record progress inside a channel that is still being scanned
+ * progress: { cursor, messageCount, latestTs, threadsScanned, repliesScanned, seenLinks, authors }
+ */
+export async function markChannelProgress(checkpoint, channelId, progress) {
+  checkpoint.inProgress[channelId] = progress;
+  if (DEBUG) return;
+  await saveCheckpoint(checkpoint);
+  console.log(`[CHECKPOINT] Saved ${channelId} after ${progress.messageCount.toLocaleString()} messages`);
+}
+
+/**
+ * Record a fully scanned channel
+ * result: { messageCount, latestTs }
+ */
+export async function markChannelComplete(checkpoint, channelId, result) {
+  delete checkpoint.inProgress[channelId];
+  checkpoint.completedChannels[channelId] = result;
+  if (DEBUG) return;
+  await saveCheckpoint(checkpoint);
+  console.log(`[CHECKPOINT] Saved, ${Object.keys(checkpoint.completedChannels).length} channels done`);
 }
 
 /**
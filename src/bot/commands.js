@@ -0,0 +1,242 @@
+import { explainNoPath } from '../cli/components.js';
+
+// Hard limits on Slack messages: blocks per message and characters per section
+const MAX_BLOCKS = 50;
+const MAX_SECTION_LENGTH = 3000;
+
+const USAGE = [
+  '`path #from #to` - Shortest chain of channel links between two channels',
+  '`hops #channel [n]` - Channels reachable within n hops (default 2)',
+  '`neighbors #channel` - Channels linked to and from a channel',
+  '`stats` - Graph statistics',
+  '`help` - Show this help'
+].join('\n');
+
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function section(text) {
+  const trimmed = text.length > MAX_SECTION_LENGTH ? `${text.slice(0, MAX_SECTION_LENGTH - 1)}…` : text;
+  return { type: 'section', text: { type: 'mrkdwn', text: trimmed } };
+}
+
+function context(text) {
+  return { type: 'context', elements: [{ type: 'mrkdwn', text }] };
+}
+
+// Channel reference as Slack renders it; falls back to the stored name for unknown IDs
+function channelRef(graph, id) {
+  const name = graph.getChannelName(id);
+  return name === id ? `<#${id}>` : `<#${id}|${escapeText(name)}>`;
+}
+
+function reply(text, blocks = [section(text)], ok = true) {
+  return { ok, text, blocks: blocks.slice(0, MAX_BLOCKS) };
+}
+
+function errorReply(text) {
+  return reply(text, [section(`:warning: ${text}`)], false);
+}
+
+/**
+ * Split command text into a command and arguments, dropping a leading bot mention
+ */
+export function parseCommandText(text = '') {
+  const parts = text.replace(/^\s*<@[A-Z0-9]+(?:\|[^>]*)?>/, '').trim().split(/\s+/).filter(Boolean);
+  return { command: (parts[0] || 'help').toLowerCase(), args: parts.slice(1) };
+}
+
+/**
+ * Resolve a channel argument: <#C123|name>, <#C123>, #name or name
+ */
+export function resolveChannel(graph, token) {
+  const escaped = token.match(/^<#([A-Z0-9]+)(?:\|[^>]*)?>$/);
+  if (escaped) {
+    return graph.getChannelId(escaped[1]);
+  }
+  return graph.getChannelId(token.replace(/^#/, ''));
+}
+
+function resolveOrFail(graph, token) {
+  const id = resolveChannel(graph, token);
+  if (!id) {
+    throw new Error(`Channel not found in the graph: ${token}`);
+  }
+  return id;
+}
+
+function pathReply(graph, args) {
+  if (args.length < 2) return errorReply('Usage: `path #from #to`');
+  const fromId = resolveOrFail(graph, args[0]);
+  const toId = resolveOrFail(graph, args[1]);
+
+  const result = graph.findPath(fromId, toId);
+  if (!result) {
+    const reasons = explainNoPath(graph, fromId, toId);
+    const text = `No path from #${graph.getChannelName(fromId)} to #${graph.getChannelName(toId)}`;
+    return reply(text, [
+      section(`:x: No path from ${channelRef(graph, fromId)} to ${channelRef(graph, toId)}`),
+      context(reasons.map(escapeText).join('\n'))
+    ]);
+  }
+
+  const hops = result.path.length - 1;
+  const text = `${hops} hop(s) from #${graph.getChannelName(fromId)} to #${graph.getChannelName(toId)}`;
+  const blocks = [section(`:link: *${hops} hop(s)* from ${channelRef(graph, fromId)} to ${channelRef(graph, toId)}`)];
+  for (let i = 0; i < result.links.length; i++) {
+    const link = result.links[i];
+    blocks.push(section(`${i + 1}. ${channelRef(graph, result.path[i])} → ${channelRef(graph, result.path[i + 1])}  <${link.messageLink}|message>`));
+    blocks.push(context(`${link.messageDate.slice(0, 10)}${link.weight > 1 ? ` · ${link.weight} mentions` : ''}`));
+  }
+  return reply(text, blocks);
+}
+
+function hopsReply(graph, args) {
+  if (args.length < 1) return errorReply('Usage: `hops #channel [n]`');
+  const fromId = resolveOrFail(graph, args[0]);
+  const maxHops = args[1] ? parseInt(args[1]) : 2;
+  if (isNaN(maxHops) || maxHops < 1 || maxHops > 6) {
+    return errorReply('Hops must be a number from 1 to 6');
+  }
+
+  const byHops = new Map();
+  for (const [id, { path }] of graph.findAllPathsWithinHops(fromId, maxHops).entries()) {
+    const hops = path.length - 1;
+    if (!byHops.has(hops)) byHops.set(hops, []);
+    byHops.get(hops).push(id);
+  }
+
+  const total = Array.from(byHops.values()).reduce((sum, ids) => sum + ids.length, 0);
+  const text = `${total} channel(s) within ${maxHops} hop(s) of #${graph.getChannelName(fromId)}`;
+  const blocks = [section(`:world_map: *${total} channel(s)* within ${maxHops} hop(s) of ${channelRef(graph, fromId)}`)];
+  for (const hops of Array.from(byHops.keys()).sort((a, b) => a - b)) {
+    const ids = byHops.get(hops);
+    const shown = ids.slice(0, 20).map(id => channelRef(graph, id)).join(', ');
+    blocks.push(section(`*${hops} hop(s)* (${ids.length}): ${shown}${ids.length > 20 ? `, … and ${ids.length - 20} more` : ''}`));
+  }
+  return reply(text, blocks);
+}
+
+function neighborsReply(graph, args) {
+  if (args.length < 1) return errorReply('Usage: `neighbors #channel`');
+  const id = resolveOrFail(graph, args[0]);
+
+  const outgoing = graph.channels.get(id).connections.map(edge => ({ id: edge.to, weight: edge.weight }));
+  const incoming = [];
+  for (const [from, data] of graph.channels.entries()) {
+    const edge = data.edges.get(id);
+    if (edge) incoming.push({ id: from, weight: edge.weight });
+  }
+
+  const list = (edges) => {
+    if (edges.length === 0) return '_none_';
+    const sorted = edges.sort((a, b) => b.weight - a.weight);
+    const shown = sorted.slice(0, 15).map(e => `${channelRef(graph, e.id)} (${e.weight})`).join(', ');
+    return `${shown}${sorted.length > 15 ? `, … and ${sorted.length - 15} more` : ''}`;
+  };
+
+  const text = `#${graph.getChannelName(id)} links to ${outgoing.length} and is linked from ${incoming.length} channel(s)`;
+  return reply(text, [
+    section(`*${channelRef(graph, id)}*`),
+    section(`*Links to* (${outgoing.length}): ${list(outgoing)}`),
+    section(`*Linked from* (${incoming.length}): ${list(incoming)}`),
+    context('Numbers are mention counts')
+  ]);
+}
+
+function statsReply(graph) {
+  const stats = graph.getDetailedStats();
+  const text = `${stats.totalChannels} channels, ${stats.totalConnections} links, ${stats.totalMentions} mentions`;
+  const top = stats.channelsByConnections.slice(0, 5)
+    .map((ch, i) => `${i + 1}. ${channelRef(graph, ch.id)} - ${ch.total} (${ch.outgoing} out, ${ch.incoming} in)`)
+    .join('\n');
+  return reply(text, [
+    section(`:bar_chart: *${stats.totalChannels}* channels, *${stats.totalConnections}* links, *${stats.totalMentions}* mentions`),
+    section(`*Most connected*\n${top || '_none_'}`)
+  ]);
+}
+
+/**
+ * Answer a command against the graph
+ * Returns { ok, text, blocks }: text is the notification fallback, blocks the Block Kit message
+ */
+export function buildResponse(graph, commandText) {
+  const { command, args } = parseCommandText(commandText);
+
+  try {
+    switch (command) {
+      case 'path':
+        return pathReply(graph, args);
+      case 'hops':
+        return hopsReply(graph, args);
+      case 'neighbors':
+      case 'neighbours':
+        return neighborsReply(graph, args);
+      case 'stats':
+        return statsReply(graph);
+      case 'help':
+        return reply('Six Degrees commands', [section(`*Six Degrees commands*\n${USAGE}`)]);
+      default:
+        return errorReply(`Unknown command: ${command}. Try \`help\``);
+    }
+  } catch (error) {
+    return errorReply(error.message);
+  }
+}
+
+/**
+ * Response to a slash command payload (sent back through ack)
+ * Results are posted in the channel; errors and help only to the user who asked
+ */
+export function handleSlashCommand(body, graph) {
+  const response = buildResponse(graph, body.text);
+  const { command } = parseCommandText(body.text);
+  return {
+    response_type: response.ok && command !== 'help' ? 'in_channel' : 'ephemeral',
+    text: response.text,
+    blocks: response.blocks
+  };
+}
+
+/**
+ * chat.postMessage arguments answering an app_mention event, in the mention's thread
+ */
+export function handleAppMention(event, graph) {
+  const response = buildResponse(graph, event.text);
+  return {
+    channel: event.channel,
+    thread_ts: event.thread_ts || event.ts,
+    text: response.text,
+    blocks: response.blocks
+  };
+}
+
+/**
+ * Answer /sixdegrees and @-mentions over Socket Mode
+ * graphSource.get() resolves to { graph } (see createGraphSource)
+ */
+export function startCommandHandlers(socketModeClient, webClient, graphSource) {
+  socketModeClient.on('slash_commands', async ({ body, ack }) => {
+    try {
+      const { graph } = await graphSource.get();
+      console.log(`[COMMAND] ${body.command} ${body.text}`);
+      await ack(handleSlashCommand(body, graph));
+    } catch (error) {
+      console.error(`[ERROR] Failed to handle ${body.command}: ${error.message}`);
+      await ack({ response_type: 'ephemeral', text: 'Sorry, the channel graph is not available right now.' });
+    }
+  });
+
+  socketModeClient.on('app_mention', async ({ event, ack }) => {
+    await ack();
+
+    try {
+      const { graph } = await graphSource.get();
+      console.log(`[COMMAND] @mention ${event.text}`);
+      await webClient.chat.postMessage(handleAppMention(event, graph));
+    } catch (error) {
+      console.error(`[ERROR] Failed to answer mention in ${event.channel}: ${error.message}`);
+    }
+  });
+}
@@ -7,20 +7,70 @@ export const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 export const SLACK_APP_TOKEN = process.env.SLACK_APP_TOKEN;
 export const DEBUG = process.env.DEBUG === 'true';
 export const CLEAR_CHANNEL_CACHE = process.env.CLEAR_CHANNEL_CACHE === 'true';
+// Also list (and scan) archived channels, so links to them get names
+export const INCLUDE_ARCHIVED = process.env.INCLUDE_ARCHIVED === 'true';
+export const INCREMENTAL = process.env.INCREMENTAL === 'true';
+export const LIVE_MODE = process.env.LIVE_MODE === 'true';
+export const RECORD_ALL_MENTIONS = process.env.RECORD_ALL_MENTIONS === 'true';
+export const SCAN_THREADS = process.env.SCAN_THREADS === 'true';
+export const COMMANDS_ENABLED = process.env.COMMANDS_ENABLED === 'true';
+// Fetch users.list so user IDs can be shown as names (needs the users:read scope)
+export const FETCH_USERS = process.env.FETCH_USERS === 'true';
+export const CLEAR_USER_CACHE = process.env.CLEAR_USER_CACHE === 'true';
+// Scan scope (see scope.js): comma-separated name globs or /regex/, ID list files (one per line),
+// a minimum member count and a creation date range. Unset means every channel
+export const INCLUDE_CHANNELS = process.env.INCLUDE_CHANNELS || '';
+export const EXCLUDE_CHANNELS = process.env.EXCLUDE_CHANNELS || '';
+export const CHANNEL_ID_FILE = process.env.CHANNEL_ID_FILE || '';
+export const EXCLUDE_ID_FILE = process.env.EXCLUDE_ID_FILE || '';
+export const MIN_MEMBERS = parseInt(process.env.MIN_MEMBERS || '0', 10) || 0;
+export const CREATED_AFTER = process.env.CREATED_AFTER || '';
+export const CREATED_BEFORE = process.env.CREATED_BEFORE || '';
+// Where scan results go: 'jsonl' (channel-links.jsonl) or 'sqlite' (channel-graph.db)
+export const OUTPUT_SINK = (process.env.OUTPUT_SINK || 'jsonl').toLowerCase();
 
 // File paths
 export const OUTPUT_FILE = 'channel-links.jsonl';
 export const CHECKPOINT_FILE = 'checkpoint.json';
 export const CHANNELS_CACHE_FILE = 'channels-cache.json';
+export const USERS_CACHE_FILE = 'users-cache.json';
+export const CHANNEL_AUTHORS_FILE = 'channel-authors.jsonl';
 export const METADATA_FILE = 'channel-metadata.json';
+export const DATABASE_FILE = 'channel-graph.db';
 
 // Regex to match channel mentions like #channel-name or <#CHANNEL_ID>
 // Matches: <#C123456>, <#C123456|channel-name>, <#C123456|>
 export const CHANNEL_MENTION_REGEX = /<#([A-Z0-9]+)(?:\|[^>]*)?>/g;
 
-// Rate limiting delays (in milliseconds)
-export const DELAY_BETWEEN_MESSAGE_PAGES = 100;
-export const DELAY_BETWEEN_CHANNELS = 200;
+// Regex to match message permalinks pasted into a message, e.g. https://hackclub.slack.com/archives/C123456/p1700000000000100
+export const CHANNEL_PERMALINK_REGEX = /https?:\/\/[a-z0-9-]+\.slack\.com\/archives\/([CG][A-Z0-9]+)\/p\d+/g;
+
+// Kinds of cross-channel references recorded, as the edgeType of each connection:
+// mention (<#C123>), permalink (link to a message in another channel), share (forwarded/shared message)
+export const ALL_EDGE_TYPES = ['mention', 'permalink', 'share'];
+export const EDGE_TYPES = (process.env.EDGE_TYPES || ALL_EDGE_TYPES.join(','))
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(type => ALL_EDGE_TYPES.includes(type));
+
+// Number of channels scanned in parallel
+export const SCAN_CONCURRENCY = Math.max(1, parseInt(process.env.SCAN_CONCURRENCY || '4', 10) || 1);
+
+// Rate limiting: Slack tier of each method we call, and the minimum delay between calls
+// to a tier (in milliseconds). Delays widen automatically when Slack returns a 429.
+export const METHOD_RATE_LIMIT_TIERS = {
+  'conversations.list': 2,
+  'users.list': 2,
+  'conversations.history': 3,
+  'conversations.replies': 3,
+  'conversations.join': 3
+};
+export const RATE_LIMIT_TIER_DELAYS = {
+  2: 1000,
+  3: 300,
+  4: 100
+};
+export const MAX_RATE_LIMIT_RETRIES = 10;
 
 // Checkpoint intervals
 export const CHECKPOINT_EVERY_N_MESSAGES = 10000;
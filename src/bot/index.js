@@ -4,64 +4,177 @@ import {
   SLACK_BOT_TOKEN,
   SLACK_APP_TOKEN,
   DEBUG,
-  OUTPUT_FILE,
-  METADATA_FILE,
-  DELAY_BETWEEN_CHANNELS
+  INCREMENTAL,
+  RECORD_ALL_MENTIONS,
+  LIVE_MODE,
+  COMMANDS_ENABLED,
+  FETCH_USERS,
+  SCAN_CONCURRENCY
 } from './config.js';
-import { loadCheckpoint, saveCheckpoint, clearCheckpoint } from './checkpoint.js';
+import { createOutputSink } from './sink.js';
 import { getAllChannels, buildChannelNameMap } from './channels.js';
+import { getAllUsers } from './users.js';
 import { scanChannelMessages } from './scanner.js';
-import { generateMetadata, writeMetadata } from './output.js';
+import { startLiveCapture } from './live.js';
+import { startCommandHandlers } from './commands.js';
+import { createGraphSource } from '../cli/loader.js';
+import { parseArgs } from '../cli/options.js';
+import { loadScopeFilters, applyScopeFilters, resolveChannelArgs } from './scope.js';
+import { withRateLimits } from './ratelimit.js';
+import { generateMetadata } from './output.js';
 
-const webClient = new WebClient(SLACK_BOT_TOKEN);
+// 429s are surfaced to our own limiter instead of being retried inside the client
+const webClient = withRateLimits(new WebClient(SLACK_BOT_TOKEN, { rejectRateLimitedCalls: true }));
 const socketModeClient = new SocketModeClient({
   appToken: SLACK_APP_TOKEN,
 });
 
+// --channels lounge,ship rescans just those channels (see scope.js for the other scan filters)
+const { flags } = parseArgs(process.argv.slice(2), ['channels']);
+
 /**
  * Main function to map all channel connections
+ * Links, channel rows and the checkpoint are stored through the output sink
+ * Returns false if some channels failed to scan (they stay pending in the checkpoint)
  */
-async function mapChannelConnections() {
+async function mapChannelConnections(sink) {
   console.log('[START] Six Degrees of Hack Club mapper');
   console.log('=' .repeat(60));
 
   const startTime = Date.now();
 
+  // Step 1: Get all channels, then the ones this run scans
+  const allChannels = await getAllChannels(webClient);
+  const rescan = typeof flags.channels === 'string' ? resolveChannelArgs(allChannels, flags.channels) : null;
+  const channels = rescan || applyScopeFilters(allChannels, await loadScopeFilters());
+  if (rescan) {
+    console.log(`[INFO] Rescanning ${rescan.map(channel => '#' + channel.name).join(', ')}`);
+  }
+
   // Load checkpoint to resume if needed
-  const checkpoint = await loadCheckpoint();
+  const checkpoint = await sink.loadCheckpoint(allChannels);
+  if (rescan) {
+    // A rescan finishing would clear the checkpoint of the run it interrupted
+    const rescanIds = new Set(rescan.map(channel => channel.id));
+    const started = [...Object.keys(checkpoint.completedChannels), ...Object.keys(checkpoint.inProgress)];
+    if (started.some(channelId => !rescanIds.has(channelId))) {
+      throw new Error('An interrupted scan is waiting to be resumed - finish it before rescanning channels');
+    }
+  }
+  await sink.saveChannels(allChannels);
 
-  // Step 1: Get all channels
-  const channels = await getAllChannels(webClient);
+  // Optional: user names for the CLI's people commands. Scanning works without them
+  if (FETCH_USERS) {
+    try {
+      await sink.saveUsers(await getAllUsers(webClient));
+    } catch (error) {
+      console.log('[WARN] Continuing without user names (does the app have the users:read scope?)');
+    }
+  }
 
-  // Build channel name mapping
-  const channelNames = buildChannelNameMap(channels);
+  // Build channel name mapping (links can point outside the scanned channels)
+  const channelNames = buildChannelNameMap(allChannels);
+
+  // Incremental mode: only fetch messages newer than the last run, skipping links already recorded
+  let previousMetadata = null;
+  let existingLinks = new Map();
+  let existingMentions = new Map();
+  if (rescan) {
+    // Rescans read the whole history again, skipping links (and mentions) already recorded.
+    // Their message counts are replaced, everyone else's metadata is kept
+    const metadata = await sink.loadMetadata();
+    if (metadata) {
+      const otherChannels = { ...metadata.channels };
+      for (const channel of rescan) {
+        delete otherChannels[channel.id];
+      }
+      previousMetadata = { ...metadata, channels: otherChannels };
+    }
+    existingLinks = await sink.loadExistingLinks();
+    if (RECORD_ALL_MENTIONS) {
+      existingMentions = await sink.loadExistingMentions(rescan.map(channel => channel.id));
+    }
+  } else if (INCREMENTAL) {
+    previousMetadata = await sink.loadMetadata();
+    if (previousMetadata) {
+      existingLinks = await sink.loadExistingLinks();
+      console.log(`[INFO] Incremental mode - continuing from metadata generated at ${previousMetadata.generatedAt}`);
+    } else {
+      console.log('[WARN] Incremental mode requested but no previous run was found, running a full scan');
+    }
+  }
 
   console.log('=' .repeat(60));
   console.log('[INFO] Starting message scan\n');
 
-  // Step 2: Scan each channel for links
-  let startIndex = checkpoint.lastChannelIndex + 1;
-  if (startIndex > 0) {
-    console.log(`[INFO] Resuming from channel index ${startIndex}`);
+  // Step 2: Scan channels for links with a pool of workers
+  const pending = channels.filter(channel => !checkpoint.completedChannels[channel.id]);
+  if (pending.length < channels.length) {
+    console.log(`[INFO] Resuming: ${channels.length - pending.length} channels already done`);
   }
 
-  // Track message counts per channel
-  const channelMessageCounts = new Map();
+  // Interrupted channels are resumed from their saved cursor. Links reach the output a batch at a
+  // time, before any cursor is saved, so once a run has started every pending channel (including
+  // ones that failed or never reached a checkpoint) skips the links already written.
+  const started = Object.keys(checkpoint.completedChannels).length + Object.keys(checkpoint.inProgress).length > 0;
+  let writtenLinks = new Map();
+  let writtenMentions = new Map();
+  if (started) {
+    writtenLinks = await sink.loadExistingLinks();
+    if (RECORD_ALL_MENTIONS) {
+      writtenMentions = await sink.loadExistingMentions(pending.map(channel => channel.id));
+    }
+  }
 
-  for (let i = startIndex; i < channels.length; i++) {
-    const channel = channels[i];
-    console.log(`[${i + 1}/${channels.length}]`);
+  // Channels whose scan hit an error stay pending, so the next run retries them
+  const failedChannels = [];
+  let nextIndex = 0;
+  const scanWorker = async () => {
+    while (nextIndex < pending.length) {
+      const channel = pending[nextIndex++];
+      console.log(`[${channels.length - pending.length + nextIndex}/${channels.length}]`);
 
-    const messageCount = await scanChannelMessages(webClient, channel.id, channel.name, i, channelNames);
-    channelMessageCounts.set(channel.id, messageCount);
+      const resume = checkpoint.inProgress[channel.id] || null;
+      const { messageCount, latestTs, authors, error } = await scanChannelMessages(webClient, channel.id, channel.name, channelNames, {
+        oldest: previousMetadata?.channels?.[channel.id]?.latestMessageTs || undefined,
+        seenLinks: [...(resume?.seenLinks || []), ...(writtenLinks.get(channel.id) || []), ...(existingLinks.get(channel.id) || [])],
+        seenMentions: new Set([...(writtenMentions.get(channel.id) || []), ...(existingMentions.get(channel.id) || [])]),
+        resume,
+        checkpoint,
+        sink
+      });
 
-    // Save checkpoint after each channel
-    await saveCheckpoint(i, channel.id, 0);
+      // Save who posted, then the checkpoint after each channel
+      await sink.saveChannelAuthors(channel.id, authors);
+      if (error) {
+        failedChannels.push(channel);
+      } else {
+        await sink.markChannelComplete(checkpoint, channel.id, { messageCount, latestTs });
+      }
 
-    console.log(''); // Empty line for readability
+      console.log(''); // Empty line for readability
+    }
+  };
+
+  console.log(`[INFO] Scanning ${pending.length} channels with ${SCAN_CONCURRENCY} workers\n`);
+  await Promise.all(Array.from({ length: Math.min(SCAN_CONCURRENCY, pending.length) }, scanWorker));
+
+  // Finishing the run would clear the checkpoint, and with it the failed channels
+  if (failedChannels.length > 0) {
+    console.log('=' .repeat(60));
+    console.log(`[ERROR] ${failedChannels.length} channel(s) failed: ${failedChannels.map(channel => '#' + channel.name).join(', ')}`);
+    console.log('[INFO] Checkpoint kept - run again to retry them (channels already done are skipped)');
+    return false;
+  }
 
-    // Rate limiting: pause between channels to be respectful
-    await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_CHANNELS));
+  // Track message counts and newest message ts per channel, including those finished before a resume
+  const channelMessageCounts = new Map();
+  const channelLatestTs = new Map();
+  for (const [channelId, result] of Object.entries(checkpoint.completedChannels)) {
+    channelMessageCounts.set(channelId, result.messageCount);
+    if (result.latestTs) {
+      channelLatestTs.set(channelId, result.latestTs);
+    }
   }
 
   // Step 3: Generate metadata file (skip in debug mode)
@@ -69,24 +182,90 @@ async function mapChannelConnections() {
     console.log('=' .repeat(60));
     console.log('[INFO] Generating metadata file');
 
-    const metadata = await generateMetadata(channels, startTime, OUTPUT_FILE, channelMessageCounts);
-    await writeMetadata(metadata, METADATA_FILE);
+    // Channels outside this run's scope keep their previous metadata, if they have any
+    const metadataChannels = allChannels.filter(channel => channelMessageCounts.has(channel.id) || previousMetadata?.channels?.[channel.id]);
+    const metadata = await generateMetadata(metadataChannels, startTime, sink.dataFile, channelMessageCounts, channelLatestTs, previousMetadata);
+
+    console.log('[SUCCESS] Output saved to ' + sink.dataFile);
+    // Also clears the checkpoint, now that the run is complete
+    await sink.finishRun(allChannels, metadata);
 
-    console.log('[SUCCESS] Output saved to ' + OUTPUT_FILE);
-    console.log('[SUCCESS] Metadata saved to ' + METADATA_FILE);
     console.log('\n[STATS] Summary:');
     console.log(`  Total channels: ${channels.length}`);
     console.log(`  Processing time: ${metadata.processingTimeSeconds}s`);
     console.log('\n[DONE] Mapping complete\n');
-    console.log('[INFO] Cleaning up checkpoint file...');
-
-    // Delete checkpoint file on successful completion
-    await clearCheckpoint();
   } else {
     console.log('\n[DEBUG] Debug mode complete - no files written');
     console.log(`[DEBUG] Total channels scanned: ${channels.length}`);
     console.log(`[DEBUG] Processing time: ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
   }
+  return true;
+}
+
+// Bot events slack-app-manifest.yaml subscribes to. Slack redelivers any event that isn't acked
+const SUBSCRIBED_EVENTS = ['message', 'channel_created', 'channel_rename', 'app_mention'];
+
+/**
+ * Ack and drop the subscribed events nothing else listens for in this mode
+ * (e.g. every new message during a history scan)
+ */
+function ackUnhandledEvents() {
+  for (const type of SUBSCRIBED_EVENTS) {
+    if (socketModeClient.listenerCount(type) === 0) {
+      socketModeClient.on(type, async ({ ack }) => {
+        await ack();
+      });
+    }
+  }
+}
+
+/**
+ * Connect and keep the socket open until Ctrl+C
+ */
+async function stayConnected(sink) {
+  ackUnhandledEvents();
+
+  console.log('[INFO] Connecting to Slack via WebSocket...');
+  await socketModeClient.start();
+  console.log('[SUCCESS] Connected to Slack\n');
+
+  process.on('SIGINT', async () => {
+    console.log('\n[INFO] Disconnecting from Slack...');
+    await socketModeClient.disconnect();
+    await sink.close();
+    process.exit(0);
+  });
+}
+
+/**
+ * Stay connected and record links from new messages as they are posted
+ */
+async function runLiveMode(sink) {
+  console.log('[START] Six Degrees of Hack Club live capture');
+  console.log('=' .repeat(60));
+
+  const channels = await getAllChannels(webClient);
+  const channelNames = buildChannelNameMap(channels);
+
+  await startLiveCapture(socketModeClient, channelNames, sink);
+  await stayConnected(sink);
+}
+
+/**
+ * Stay connected and only answer commands, from the links collected by earlier scans
+ */
+async function runCommandMode(sink, graphSource) {
+  console.log('[START] Six Degrees of Hack Club commands');
+  console.log('=' .repeat(60));
+
+  try {
+    await graphSource.get();
+  } catch (error) {
+    console.log(`[WARN] No links to answer from yet (${error.message}) - run a scan first`);
+  }
+
+  await stayConnected(sink);
+  console.log('[INFO] Answering /sixdegrees and @-mentions (Ctrl+C to stop)\n');
 }
 
 /**
@@ -94,18 +273,42 @@ async function mapChannelConnections() {
  */
 async function start() {
   try {
+    const sink = createOutputSink();
+    console.log(`[INFO] Writing links to ${sink.dataFile}`);
+
+    const graphSource = createGraphSource(sink.dataFile, { database: sink.name === 'sqlite' });
+    if (COMMANDS_ENABLED) {
+      // Answer /sixdegrees and @-mentions from the links collected so far
+      startCommandHandlers(socketModeClient, webClient, graphSource);
+      console.log('[INFO] Slash command and mention handlers enabled');
+    }
+
+    if (LIVE_MODE) {
+      // Long-running: keep the socket open instead of scanning history
+      await runLiveMode(sink);
+      return;
+    }
+
+    if (COMMANDS_ENABLED) {
+      // Long-running too: a history scan would exit when it finishes
+      await runCommandMode(sink, graphSource);
+      return;
+    }
+
     // Connect to Slack via WebSocket
+    ackUnhandledEvents();
     console.log('[INFO] Connecting to Slack via WebSocket...');
     await socketModeClient.start();
     console.log('[SUCCESS] Connected to Slack\n');
 
     // Run the mapping
-    await mapChannelConnections();
+    const complete = await mapChannelConnections(sink);
+    await sink.close();
 
     // Disconnect
     console.log('[INFO] Disconnecting from Slack...');
     await socketModeClient.disconnect();
-    process.exit(0);
+    process.exit(complete ? 0 : 1);
   } catch (error) {
     console.error('[FATAL] Error:', error);
     process.exit(1);
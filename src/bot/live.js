@@ -0,0 +1,82 @@
+import { DEBUG, RECORD_ALL_MENTIONS } from './config.js';
+import { extractChannelReferences, linkKey, buildConnection } from './scanner.js';
+
+// Message subtypes that don't represent a newly posted message
+const IGNORED_SUBTYPES = new Set([
+  'message_changed',
+  'message_deleted',
+  'channel_join',
+  'channel_leave'
+]);
+
+/**
+ * Extract new connections from a message event
+ * existingLinks (channelId -> Set of link keys, see linkKey) is updated so each link is only
+ * recorded once, unless RECORD_ALL_MENTIONS is set
+ */
+export function handleMessageEvent(event, channelNames, existingLinks) {
+  if ((!event?.text && !event?.attachments) || !event.channel || IGNORED_SUBTYPES.has(event.subtype)) {
+    return [];
+  }
+
+  const channelId = event.channel;
+  const channelName = channelNames.get(channelId) || channelId;
+
+  if (!existingLinks.has(channelId)) {
+    existingLinks.set(channelId, new Set());
+  }
+  const seenLinks = existingLinks.get(channelId);
+
+  const connections = [];
+  for (const { channelId: mentionedChannelId, edgeType } of extractChannelReferences(event, channelId)) {
+    const key = linkKey(mentionedChannelId, edgeType);
+    if (seenLinks.has(key) && !RECORD_ALL_MENTIONS) continue;
+    seenLinks.add(key);
+    connections.push(buildConnection(event, channelId, channelName, mentionedChannelId, channelNames, edgeType));
+  }
+
+  return connections;
+}
+
+/**
+ * Listen for message events and write new connections to the output sink as they are posted
+ * Accepts a SocketModeClient or any event emitter that emits the same ({ event, ack }) payloads
+ */
+export async function startLiveCapture(socketModeClient, channelNames, sink) {
+  const existingLinks = await sink.loadExistingLinks();
+  console.log(`[LIVE] Loaded existing links for ${existingLinks.size} channels`);
+
+  socketModeClient.on('message', async ({ event, ack }) => {
+    await ack();
+
+    try {
+      const connections = handleMessageEvent(event, channelNames, existingLinks);
+      for (const conn of connections) {
+        console.log(`[LIVE] #${conn.fromName} > #${conn.toName}`);
+        if (DEBUG) {
+          console.log(`[DEBUG] ${conn.messageLink}`);
+        }
+      }
+      await sink.writeConnections(connections);
+    } catch (error) {
+      console.error('[ERROR] Failed to process message event:', error.message);
+    }
+  });
+
+  // Keep the name map current so new links get readable names
+  socketModeClient.on('channel_created', async ({ event, ack }) => {
+    await ack();
+    if (event?.channel?.id) {
+      channelNames.set(event.channel.id, event.channel.name);
+    }
+  });
+
+  socketModeClient.on('channel_rename', async ({ event, ack }) => {
+    await ack();
+    if (event?.channel?.id) {
+      channelNames.set(event.channel.id, event.channel.name);
+    }
+  });
+
+  console.log('[LIVE] Listening for new channel links (Ctrl+C to stop)\n');
+}
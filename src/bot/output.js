@@ -1,5 +1,49 @@
 import fs from 'fs/promises';
-import { OUTPUT_FILE, DEBUG } from './config.js';
+import { createReadStream } from 'fs';
+import readline from 'readline';
+import { OUTPUT_FILE, CHANNEL_AUTHORS_FILE, DEBUG } from './config.js';
+import { linkKey } from './scanner.js';
+
+// Appends are chained so concurrent scan workers never interleave lines
+let writeQueue = Promise.resolve();
+const checkedLastLine = new Set();
+
+/**
+ * Make sure a JSONL file ends with a newline before appending to it, so a line
+ * truncated by an earlier crash doesn't swallow the first new record
+ */
+async function terminateLastLine(filename) {
+  let handle;
+  try {
+    handle = await fs.open(filename, 'r');
+  } catch (error) {
+    return; // Nothing written yet
+  }
+
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return;
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    if (buffer[0] !== 0x0a) {
+      await fs.appendFile(filename, '\n', 'utf-8');
+      console.log(`[WARN] ${filename} ended with an incomplete line, starting new records on a fresh line`);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+async function appendLines(filename, lines) {
+  const write = writeQueue.then(async () => {
+    if (!checkedLastLine.has(filename)) {
+      await terminateLastLine(filename);
+      checkedLastLine.add(filename);
+    }
+    await fs.appendFile(filename, lines, 'utf-8');
+  });
+  writeQueue = write.catch(() => {});
+  await write;
+}
 
 /**
  * Append connections to output file in batches
@@ -15,14 +59,95 @@ export async function appendConnections(connections) {
   } else {
     // Normal mode: write to file
     const lines = connections.map(conn => JSON.stringify(conn)).join('\n') + '\n';
-    await fs.appendFile(OUTPUT_FILE, lines, 'utf-8');
+    await appendLines(OUTPUT_FILE, lines);
+  }
+}
+
+/**
+ * Append the users who posted in a channel during this scan to channel-authors.jsonl
+ * Each run adds a line per channel; readers merge the lines of a channel into one set
+ */
+export async function appendChannelAuthors(channelId, authors) {
+  if (authors.length === 0) return;
+
+  if (DEBUG) {
+    console.log(`[DEBUG] ${authors.length} author(s) posted in ${channelId}`);
+    return;
+  }
+  await appendLines(CHANNEL_AUTHORS_FILE, JSON.stringify({ channel: channelId, authors, scannedAt: new Date().toISOString() }) + '\n');
+}
+
+/**
+ * Stream the connections already written to the output file
+ */
+async function forEachExistingConnection(callback) {
+  try {
+    await fs.access(OUTPUT_FILE);
+  } catch (error) {
+    return; // Nothing written yet
+  }
+
+  const rl = readline.createInterface({
+    input: createReadStream(OUTPUT_FILE),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    try {
+      callback(JSON.parse(line));
+    } catch (error) {
+      // Skip truncated lines left by an interrupted write
+    }
+  }
+}
+
+/**
+ * Load the links already written to the output file, grouped by source channel
+ * (channelId -> Set of link keys, see linkKey)
+ */
+export async function loadExistingLinks() {
+  const links = new Map();
+  await forEachExistingConnection(conn => {
+    if (!links.has(conn.from)) {
+      links.set(conn.from, new Set());
+    }
+    links.get(conn.from).add(linkKey(conn.to, conn.edgeType));
+  });
+  return links;
+}
+
+/**
+ * Load the mentions already written for the given channels, as "targetId|messageTs" keys
+ * (channelId -> Set of keys). Used to avoid duplicates when resuming with RECORD_ALL_MENTIONS
+ */
+export async function loadExistingMentions(channelIds) {
+  const mentions = new Map(channelIds.map(id => [id, new Set()]));
+  await forEachExistingConnection(conn => {
+    mentions.get(conn.from)?.add(`${conn.to}|${conn.messageTs}`);
+  });
+  return mentions;
+}
+
+/**
+ * Load metadata from a previous run, or null if there is none
+ */
+export async function loadMetadata(filename) {
+  try {
+    const data = await fs.readFile(filename, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
   }
 }
 
 /**
  * Generate metadata file
+ * When previous metadata is given (incremental runs), message counts of channels scanned from their
+ * stored latestMessageTs are added to the stored totals. Channels without one had their whole history
+ * read again, so their new count replaces the stored one. Channels not scanned keep theirs.
  */
-export async function generateMetadata(channels, startTime, outputFile, channelMessageCounts = new Map()) {
+export async function generateMetadata(channels, startTime, outputFile, channelMessageCounts = new Map(), channelLatestTs = new Map(), previousMetadata = null) {
   const metadata = {
     workspace: 'Hack Club',
     generatedAt: new Date().toISOString(),
@@ -34,10 +159,13 @@ export async function generateMetadata(channels, startTime, outputFile, channelM
 
   // Build channels object
   channels.forEach(channel => {
+    const previous = previousMetadata?.channels?.[channel.id];
+    const rescanned = channelMessageCounts.has(channel.id) && !previous?.latestMessageTs;
     metadata.channels[channel.id] = {
       id: channel.id,
       name: channel.name,
-      messageCount: channelMessageCounts.get(channel.id) || 0
+      messageCount: (rescanned ? 0 : previous?.messageCount || 0) + (channelMessageCounts.get(channel.id) || 0),
+      latestMessageTs: channelLatestTs.get(channel.id) || previous?.latestMessageTs || null
     };
   });
 
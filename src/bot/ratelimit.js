@@ -0,0 +1,91 @@
+import { ErrorCode } from '@slack/web-api';
+import {
+  METHOD_RATE_LIMIT_TIERS,
+  RATE_LIMIT_TIER_DELAYS,
+  MAX_RATE_LIMIT_RETRIES
+} from './config.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Spaces out calls to each Slack rate limit tier and backs off when Slack answers with a 429
+ * Calls are shared across all scan workers, so the pool as a whole stays within the tier's limit
+ */
+export class RateLimiter {
+  constructor(tierDelays = RATE_LIMIT_TIER_DELAYS) {
+    this.tiers = new Map(); // tier -> {baseDelay, delay, nextCallAt, pausedUntil}
+    for (const [tier, delay] of Object.entries(tierDelays)) {
+      this.tiers.set(Number(tier), { baseDelay: delay, delay, nextCallAt: 0, pausedUntil: 0 });
+    }
+  }
+
+  // Wait for this tier's next free slot and reserve it
+  async waitForSlot(tier) {
+    const now = Date.now();
+    const start = Math.max(now, tier.nextCallAt, tier.pausedUntil);
+    tier.nextCallAt = start + tier.delay;
+    if (start > now) {
+      await sleep(start - now);
+    }
+  }
+
+  async call(method, fn) {
+    const tier = this.tiers.get(METHOD_RATE_LIMIT_TIERS[method]);
+    if (!tier) {
+      return fn();
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForSlot(tier);
+
+      try {
+        const result = await fn();
+        // Ease back towards the base delay after each successful call
+        tier.delay = Math.max(tier.baseDelay, Math.round(tier.delay * 0.9));
+        return result;
+      } catch (error) {
+        if (!isRateLimitError(error) || attempt >= MAX_RATE_LIMIT_RETRIES) {
+          throw error;
+        }
+
+        // Honour Retry-After for the whole tier and slow down future calls
+        const retryAfterMs = (error.retryAfter || 1) * 1000;
+        tier.pausedUntil = Math.max(tier.pausedUntil, Date.now() + retryAfterMs);
+        tier.delay = Math.min(tier.delay * 2, 60000);
+        console.log(`[RATE LIMIT] ${method} limited, retrying in ${retryAfterMs / 1000}s (tier delay now ${tier.delay}ms)`);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether an error is a Slack 429 response
+ */
+export function isRateLimitError(error) {
+  return error?.code === ErrorCode.RateLimitedError || error?.data?.error === 'ratelimited';
+}
+
+/**
+ * Wrap a WebClient so calls to rate-limited methods go through the limiter
+ * (e.g. client.conversations.history(args) keeps working as before)
+ */
+export function withRateLimits(webClient, limiter = new RateLimiter()) {
+  const wrap = (target, path) => new Proxy(target, {
+    get(obj, key) {
+      const value = obj[key];
+      if (typeof key !== 'string') return value;
+
+      const method = path ? `${path}.${key}` : key;
+      if (typeof value === 'function') {
+        if (!METHOD_RATE_LIMIT_TIERS[method]) return value.bind(obj);
+        return (args) => limiter.call(method, () => value.call(obj, args));
+      }
+      if (value && typeof value === 'object') {
+        return wrap(value, method);
+      }
+      return value;
+    }
+  });
+
+  return wrap(webClient, '');
+}
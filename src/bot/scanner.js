@@ -1,36 +1,248 @@
 import {
   CHANNEL_MENTION_REGEX,
+  CHANNEL_PERMALINK_REGEX,
+  EDGE_TYPES,
   DEBUG,
+  RECORD_ALL_MENTIONS,
+  SCAN_THREADS,
   CHECKPOINT_EVERY_N_MESSAGES,
-  WRITE_BATCH_SIZE,
-  DELAY_BETWEEN_MESSAGE_PAGES
+  WRITE_BATCH_SIZE
 } from './config.js';
-import { saveCheckpoint } from './checkpoint.js';
-import { appendConnections } from './output.js';
+
+/**
+ * Find the channels mentioned in a message's text, excluding self-references
+ */
+export function extractMentionedChannels(text, channelId) {
+  const mentioned = [];
+  for (const match of text.matchAll(CHANNEL_MENTION_REGEX)) {
+    const mentionedChannelId = match[1];
+    if (mentionedChannelId !== channelId && !mentioned.includes(mentionedChannelId)) {
+      mentioned.push(mentionedChannelId);
+    }
+  }
+  return mentioned;
+}
+
+/**
+ * Channels linked from a message's text by permalink, plus unfurled message links
+ */
+function extractPermalinkedChannels(message) {
+  const linked = [];
+  for (const match of (message.text || '').matchAll(CHANNEL_PERMALINK_REGEX)) {
+    linked.push(match[1]);
+  }
+  for (const attachment of message.attachments || []) {
+    if (attachment.is_msg_unfurl && attachment.channel_id) {
+      linked.push(attachment.channel_id);
+    }
+  }
+  return linked;
+}
+
+/**
+ * Channels a shared or forwarded message came from
+ */
+function extractSharedChannels(message) {
+  return (message.attachments || [])
+    .filter(attachment => attachment.channel_id && !attachment.is_msg_unfurl)
+    .map(attachment => attachment.channel_id);
+}
+
+// Extractors run in this order; a channel referenced several ways by one message gets the first type
+const EXTRACTORS = [
+  { type: 'mention', extract: (message, channelId) => extractMentionedChannels(message.text || '', channelId) },
+  { type: 'permalink', extract: extractPermalinkedChannels },
+  { type: 'share', extract: extractSharedChannels }
+].filter(extractor => EDGE_TYPES.includes(extractor.type));
+
+/**
+ * Find every channel a message references, excluding self-references
+ * Returns [{ channelId, edgeType }] with each channel at most once
+ */
+export function extractChannelReferences(message, channelId) {
+  const references = new Map();
+  for (const { type, extract } of EXTRACTORS) {
+    for (const referencedId of extract(message, channelId)) {
+      if (referencedId !== channelId && !references.has(referencedId)) {
+        references.set(referencedId, type);
+      }
+    }
+  }
+  return Array.from(references, ([referencedId, edgeType]) => ({ channelId: referencedId, edgeType }));
+}
+
+// Messages Slack posts on a user's behalf, which don't mean they took part in the channel
+const NON_POST_SUBTYPES = new Set(['channel_join', 'channel_leave', 'group_join', 'group_leave']);
+
+/**
+ * User who posted a message, or null for bots and join/leave notices
+ */
+function messageAuthor(message) {
+  if (!message.user || NON_POST_SUBTYPES.has(message.subtype)) return null;
+  return message.user;
+}
+
+/**
+ * Key of a link in seenLinks / existing links
+ * Mentions keep the bare target ID, which is what records written before edge types amount to
+ */
+export function linkKey(targetId, edgeType = 'mention') {
+  return edgeType === 'mention' ? targetId : `${targetId}|${edgeType}`;
+}
+
+/**
+ * Build the connection record written for a message that references another channel
+ * Thread replies carry their thread ts and a permalink that opens the reply in its thread
+ */
+export function buildConnection(message, channelId, channelName, mentionedChannelId, channelNames, edgeType = 'mention') {
+  const isReply = !!message.thread_ts && message.thread_ts !== message.ts;
+  let messageLink = `https://hackclub.slack.com/archives/${channelId}/p${message.ts.replace('.', '')}`;
+  if (isReply) {
+    messageLink += `?thread_ts=${message.thread_ts}&cid=${channelId}`;
+  }
+
+  return {
+    from: channelId,
+    to: mentionedChannelId,
+    fromName: channelName,
+    toName: channelNames.get(mentionedChannelId) || mentionedChannelId,
+    messageTs: message.ts,
+    messageDate: new Date(parseFloat(message.ts) * 1000).toISOString(),
+    messageLink: messageLink,
+    threadTs: isReply ? message.thread_ts : null,
+    authorUserId: message.user || null,
+    messageText: message.text ? message.text.substring(0, 200) : null,
+    edgeType
+  };
+}
+
+// Errors that mean one thread can't be read; the rest of the channel still can
+const SKIPPABLE_THREAD_ERRORS = new Set(['thread_not_found', 'not_in_channel', 'channel_not_found']);
+
+/**
+ * Page through a thread's replies, passing each one to onReply
+ * A thread the bot can't read is skipped; any other error (network, rate limit retries running
+ * out) is thrown so the channel is retried instead of completed with replies missing
+ * Returns the number of replies scanned
+ */
+async function scanThreadReplies(webClient, channelId, threadTs, onReply) {
+  let cursor = undefined;
+  let replyCount = 0;
+
+  try {
+    do {
+      const result = await webClient.conversations.replies({
+        channel: channelId,
+        ts: threadTs,
+        limit: 1000,
+        cursor: cursor
+      });
+
+      for (const reply of result.messages) {
+        if (reply.ts === threadTs) continue; // The parent is already handled with the channel history
+        await onReply(reply);
+        replyCount++;
+      }
+
+      cursor = result.response_metadata?.next_cursor;
+    } while (cursor);
+  } catch (error) {
+    if (!SKIPPABLE_THREAD_ERRORS.has(error.data?.error)) throw error;
+    console.error(`[WARN] Failed to scan thread ${threadTs}:`, error.data.error);
+  }
+
+  return replyCount;
+}
 
 /**
  * Scan messages in a channel for channel mentions
+ * Options:
+ *   oldest    - only fetch messages newer than this ts (incremental mode)
+ *   seenLinks - links already recorded for this channel in earlier runs (see linkKey)
+ *   seenMentions - "targetId|messageTs" keys already recorded (RECORD_ALL_MENTIONS only)
+ *   resume    - saved progress ({ cursor, messageCount, latestTs, authors, ... }) to continue an interrupted scan
+ *   checkpoint - checkpoint state that progress inside the channel is saved to
+ *   sink      - output sink links and progress are written to (see sink.js)
+ * Pass a rate-limited client (see withRateLimits) - pages are fetched back to back
+ * Returns the number of messages scanned, the ts of the newest message seen and the IDs of
+ * everyone who posted in the scanned messages. A channel the bot can't read counts as scanned
+ * with no messages; any other error is returned as error (and the channel should be retried)
  */
-export async function scanChannelMessages(webClient, channelId, channelName, channelIndex, channelNames) {
-  console.log(`[SCAN] #${channelName} (${channelId})`);
+export async function scanChannelMessages(webClient, channelId, channelName, channelNames, options = {}) {
+  const { oldest, resume, checkpoint, sink } = options;
+  console.log(`[SCAN] #${channelName} (${channelId})${oldest ? ` - messages after ${new Date(parseFloat(oldest) * 1000).toISOString()}` : ''}`);
+  if (resume) {
+    console.log(`[INFO] Resuming after ${resume.messageCount.toLocaleString()} messages`);
+  }
 
-  const seenLinks = new Set(); // Track which links we've already found (to avoid duplicates)
+  const seenLinks = new Set(options.seenLinks); // Track which links we've already found (to avoid duplicates)
+  const seenMentions = options.seenMentions || new Set();
+  const authors = new Set(resume?.authors); // Users who posted, for the shared-poster projection
   const pendingWrites = []; // Buffer for batched writes
-  let cursor = undefined;
-  let messageCount = 0;
+  let cursor = resume?.cursor;
+  let messageCount = resume?.messageCount || 0;
+  let lastCheckpointCount = messageCount;
+  let latestTs = resume?.latestTs || oldest || null;
   let batchCount = 0;
   let totalLinksFound = 0;
+  let totalMentions = 0;
+  let threadsScanned = resume?.threadsScanned || 0;
+  let repliesScanned = resume?.repliesScanned || 0;
   let oldestMessageTs = null;
   let oldestMessageText = null;
 
+  // Find all channel references in a message (top-level or thread reply) and queue the new ones
+  const recordMentions = async (message) => {
+    const author = messageAuthor(message);
+    if (author) {
+      authors.add(author);
+    }
+    if (!message.text && !message.attachments) return;
+
+    for (const { channelId: mentionedChannelId, edgeType } of extractChannelReferences(message, channelId)) {
+      const key = linkKey(mentionedChannelId, edgeType);
+      const isNewLink = !seenLinks.has(key);
+
+      // By default only the first message linking two channels (per edge type) is kept.
+      // A mention is recorded once, even if the message is seen again (a broadcast thread reply,
+      // or a restart after an expired cursor)
+      const mentionKey = `${mentionedChannelId}|${message.ts}`;
+      if (RECORD_ALL_MENTIONS ? seenMentions.has(mentionKey) : !isNewLink) continue;
+      seenLinks.add(key);
+      if (RECORD_ALL_MENTIONS) {
+        seenMentions.add(mentionKey);
+      }
+
+      const connection = buildConnection(message, channelId, channelName, mentionedChannelId, channelNames, edgeType);
+      pendingWrites.push(connection);
+      totalMentions++;
+      if (isNewLink) {
+        totalLinksFound++;
+      }
+
+      // Debug: print every link as it's found
+      if (DEBUG) {
+        console.log(`[DEBUG] #${channelName} > #${connection.toName}${edgeType === 'mention' ? '' : ` (${edgeType})`}`);
+        console.log(`[DEBUG] ${connection.messageLink}`);
+      }
+
+      // Write to file every N links found
+      if (pendingWrites.length >= WRITE_BATCH_SIZE) {
+        await sink.stageConnections(channelId, pendingWrites);
+        pendingWrites.length = 0; // Clear the buffer
+      }
+    }
+  };
+
   try {
     do {
       const result = await webClient.conversations.history({
         channel: channelId,
         limit: 1000,
-        cursor: cursor
-        // Don't use 'oldest' parameter - it filters messages, we want ALL messages
+        cursor: cursor,
+        // Only set in incremental mode - otherwise we want ALL messages
         // The API returns newest first and paginates backwards automatically
+        oldest: oldest
       });
 
       batchCount++;
@@ -50,9 +262,10 @@ export async function scanChannelMessages(webClient, channelId, channelName, cha
         }
       }
 
-      // Track newest message timestamp for the first batch
-      if (batchCount === 1 && result.messages.length > 0) {
+      // Track newest message timestamp for the first batch (a resumed scan already has it)
+      if (batchCount === 1 && !resume && result.messages.length > 0) {
         const newestMsg = result.messages[0];
+        latestTs = newestMsg.ts;
         const newestDate = new Date(parseFloat(newestMsg.ts) * 1000).toISOString();
         if (DEBUG) {
           console.log(`[DEBUG] Newest message in channel: ${newestDate}`);
@@ -61,53 +274,19 @@ export async function scanChannelMessages(webClient, channelId, channelName, cha
 
       // Process messages in batches without storing them
       for (const message of result.messages) {
-        if (message.text) {
-          // Debug: log every message text in first batch to see what we're checking
-          if (DEBUG && batchCount === 1 && messageCount < 5) {
-            console.log(`[DEBUG] Sample message text: "${message.text.substring(0, 200).replace(/\n/g, ' ')}"`);
-          }
+        // Debug: log every message text in first batch to see what we're checking
+        if (DEBUG && message.text && batchCount === 1 && messageCount < 5) {
+          console.log(`[DEBUG] Sample message text: "${message.text.substring(0, 200).replace(/\n/g, ' ')}"`);
+        }
 
-          // Find all channel mentions in the message
-          const matches = message.text.matchAll(CHANNEL_MENTION_REGEX);
-          for (const match of matches) {
-            const mentionedChannelId = match[1];
-            if (mentionedChannelId !== channelId) { // Don't count self-references
-              if (!seenLinks.has(mentionedChannelId)) {
-                seenLinks.add(mentionedChannelId);
-
-                const messageLink = `https://hackclub.slack.com/archives/${channelId}/p${message.ts.replace('.', '')}`;
-                const messageDate = new Date(parseFloat(message.ts) * 1000).toISOString();
-                const connection = {
-                  from: channelId,
-                  to: mentionedChannelId,
-                  fromName: channelName,
-                  toName: channelNames.get(mentionedChannelId) || mentionedChannelId,
-                  messageTs: message.ts,
-                  messageDate: messageDate,
-                  messageLink: messageLink,
-                  authorUserId: message.user || null,
-                  messageText: message.text ? message.text.substring(0, 200) : null
-                };
-
-                pendingWrites.push(connection);
-                totalLinksFound++;
-
-                // Debug: print every link as it's found
-                if (DEBUG) {
-                  const targetName = channelNames.get(mentionedChannelId) || mentionedChannelId;
-                  console.log(`[DEBUG] #${channelName} > #${targetName}`);
-                  console.log(`[DEBUG] ${messageLink}`);
-                }
-
-                // Write to file every N links found
-                if (pendingWrites.length >= WRITE_BATCH_SIZE) {
-                  await appendConnections(pendingWrites);
-                  pendingWrites.length = 0; // Clear the buffer
-                }
-              }
-            }
-          }
+        await recordMentions(message);
+
+        // Follow the thread and check every reply too
+        if (SCAN_THREADS && message.reply_count > 0) {
+          repliesScanned += await scanThreadReplies(webClient, channelId, message.ts, recordMentions);
+          threadsScanned++;
         }
+
         messageCount++;
       }
 
@@ -118,30 +297,40 @@ export async function scanChannelMessages(webClient, channelId, channelName, cha
         console.log(`[DEBUG] Has more pages: ${!!cursor}, Total messages so far: ${messageCount}`);
       }
 
-      // Save checkpoint every N messages
-      if (messageCount > 0 && messageCount % CHECKPOINT_EVERY_N_MESSAGES === 0) {
-        await saveCheckpoint(channelIndex, channelId, messageCount);
+      // Save checkpoint every N messages, with everything found so far already stored
+      if (cursor && messageCount - lastCheckpointCount >= CHECKPOINT_EVERY_N_MESSAGES) {
+        if (pendingWrites.length > 0) {
+          await sink.stageConnections(channelId, pendingWrites);
+          pendingWrites.length = 0;
+        }
+        // Threads are scanned with their parent page, so this also covers thread progress
+        await sink.markChannelProgress(checkpoint, channelId, {
+          cursor,
+          messageCount,
+          latestTs,
+          threadsScanned,
+          repliesScanned,
+          seenLinks: Array.from(seenLinks),
+          authors: Array.from(authors)
+        });
+        lastCheckpointCount = messageCount;
       }
 
       // Show progress for large channels (every 10 batches = 10k messages)
       if (cursor && batchCount % 10 === 0) {
-        console.log(`[PROGRESS] ${messageCount.toLocaleString()} messages scanned, ${totalLinksFound} unique links found`);
+        console.log(`[PROGRESS] #${channelName}: ${messageCount.toLocaleString()} messages scanned, ${totalLinksFound} unique links found`);
 
         // Show latest 5 links discovered
         if (totalLinksFound > 0) {
           const latest5 = Array.from(seenLinks).slice(-5);
-          console.log('[LINKS] Latest discovered:');
-          for (const targetId of latest5) {
+          console.log(`[LINKS] Latest discovered in #${channelName}:`);
+          for (const key of latest5) {
+            const [targetId, edgeType] = key.split('|');
             const targetName = channelNames.get(targetId) || targetId;
-            console.log(`  #${channelName} > #${targetName}`);
+            console.log(`  #${channelName} > #${targetName}${edgeType ? ` (${edgeType})` : ''}`);
           }
         }
       }
-
-      // Optional: Add a small delay to avoid rate limits
-      if (cursor) {
-        await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_MESSAGE_PAGES));
-      }
     } while (cursor);
 
     // Debug: log final stats
@@ -158,25 +347,39 @@ export async function scanChannelMessages(webClient, channelId, channelName, cha
 
     // Flush any remaining pending writes
     if (pendingWrites.length > 0) {
-      await appendConnections(pendingWrites);
+      await sink.stageConnections(channelId, pendingWrites);
     }
 
-    console.log(`[COMPLETE] Scanned ${messageCount.toLocaleString()} messages, found ${totalLinksFound} unique channel links`);
+    if (SCAN_THREADS) {
+      console.log(`[THREADS] #${channelName}: scanned ${repliesScanned.toLocaleString()} replies in ${threadsScanned.toLocaleString()} threads`);
+    }
+    console.log(`[COMPLETE] #${channelName}: scanned ${messageCount.toLocaleString()} messages, found ${totalLinksFound} unique channel links${RECORD_ALL_MENTIONS ? ` (${totalMentions} mentions)` : ''}`);
 
-    return messageCount;
+    return { messageCount, latestTs, authors: Array.from(authors) };
   } catch (error) {
+    if (error.data?.error === 'invalid_cursor' && resume) {
+      // Saved cursor is no longer valid - start over, the links found so far are still skipped
+      console.log(`[WARN] Saved cursor expired, rescanning channel from the newest message`);
+      return await scanChannelMessages(webClient, channelId, channelName, channelNames, {
+        ...options,
+        resume: null,
+        seenLinks,
+        seenMentions
+      });
+    }
     if (error.data?.error === 'not_in_channel') {
       console.log(`[WARN] Bot not in channel, attempting to join...`);
       try {
         await webClient.conversations.join({ channel: channelId });
         console.log(`[SUCCESS] Joined channel, retrying scan...`);
-        return await scanChannelMessages(webClient, channelId, channelName, channelIndex, channelNames);
+        return await scanChannelMessages(webClient, channelId, channelName, channelNames, options);
       } catch (joinError) {
-        console.log(`[ERROR] Cannot access channel (may be private)`);
+        // Archived channels can't be joined, so only those the bot was already in can be read
+        console.log(`[ERROR] Cannot access channel (${joinError.data?.error === 'is_archived' ? 'archived before the bot joined' : 'may be private'})`);
       }
-    } else {
-      console.error(`[ERROR] Failed to scan channel:`, error.data?.error || error.message);
+      return { messageCount: 0, latestTs: null, authors: [] };
     }
-    return 0;
+    console.error(`[ERROR] Failed to scan channel:`, error.data?.error || error.message);
+    return { messageCount, latestTs, authors: Array.from(authors), error: error.data?.error || error.message };
   }
 }
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import {
+  INCLUDE_CHANNELS,
+  EXCLUDE_CHANNELS,
+  CHANNEL_ID_FILE,
+  EXCLUDE_ID_FILE,
+  MIN_MEMBERS,
+  CREATED_AFTER,
+  CREATED_BEFORE
+} from './config.js';
+
+/**
+ * Which channels a run scans
+ * Channels can be picked by name (glob like hack-* or /regex/flags), by an ID list file,
+ * by member count and by creation date, or named explicitly for a rescan (--channels).
+ */
+
+/**
+ * Split a comma-separated pattern list, keeping commas inside /regex/ intact
+ */
+function splitPatterns(value) {
+  const patterns = [];
+  let current = null;
+  for (const part of value.split(',')) {
+    if (current !== null) {
+      current += `,${part}`;
+    } else {
+      current = part.trim();
+    }
+    // A regex runs until a part ending in /flags
+    if (current.startsWith('/') && !/^\/.*\/[a-z]*$/.test(current)) continue;
+    if (current) patterns.push(current);
+    current = null;
+  }
+  if (current) {
+    throw new Error(`Unterminated regex in channel pattern: ${current}`);
+  }
+  return patterns;
+}
+
+/**
+ * Turn a glob or /regex/ into a test on channel name and ID
+ * Globs are case-insensitive and must match the whole name (* = any run of characters, ? = one)
+ */
+function compilePattern(pattern) {
+  const regex = pattern.match(/^\/(.*)\/([a-z]*)$/);
+  if (regex) {
+    const compiled = new RegExp(regex[1], regex[2]);
+    return channel => compiled.test(channel.name) || compiled.test(channel.id);
+  }
+
+  const glob = new RegExp(`^${pattern.replace(/^#/, '').replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+  return channel => glob.test(channel.name) || channel.id === pattern;
+}
+
+/**
+ * Channel IDs from a file, one per line (blank lines and # comments ignored)
+ */
+async function readIdFile(filename) {
+  const data = await fs.readFile(filename, 'utf-8');
+  return new Set(data.split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean));
+}
+
+function parseCreatedDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return date.getTime() / 1000;
+}
+
+/**
+ * Filters set through INCLUDE_CHANNELS, EXCLUDE_CHANNELS, CHANNEL_ID_FILE, EXCLUDE_ID_FILE,
+ * MIN_MEMBERS, CREATED_AFTER and CREATED_BEFORE, as a list of { reason, keep(channel) }
+ */
+export async function loadScopeFilters() {
+  const filters = [];
+
+  if (INCLUDE_CHANNELS) {
+    const tests = splitPatterns(INCLUDE_CHANNELS).map(compilePattern);
+    filters.push({ reason: `not matching INCLUDE_CHANNELS`, keep: channel => tests.some(test => test(channel)) });
+  }
+  if (EXCLUDE_CHANNELS) {
+    const tests = splitPatterns(EXCLUDE_CHANNELS).map(compilePattern);
+    filters.push({ reason: 'matching EXCLUDE_CHANNELS', keep: channel => !tests.some(test => test(channel)) });
+  }
+  if (CHANNEL_ID_FILE) {
+    const ids = await readIdFile(CHANNEL_ID_FILE);
+    filters.push({ reason: `not listed in ${CHANNEL_ID_FILE}`, keep: channel => ids.has(channel.id) });
+  }
+  if (EXCLUDE_ID_FILE) {
+    const ids = await readIdFile(EXCLUDE_ID_FILE);
+    filters.push({ reason: `listed in ${EXCLUDE_ID_FILE}`, keep: channel => !ids.has(channel.id) });
+  }
+  if (MIN_MEMBERS > 0) {
+    // num_members comes from conversations.list; channels cached without it are kept
+    filters.push({ reason: `fewer than ${MIN_MEMBERS} members`, keep: channel => channel.num_members === undefined || channel.num_members >= MIN_MEMBERS });
+  }
+
+  const createdAfter = parseCreatedDate(CREATED_AFTER, 'CREATED_AFTER');
+  const createdBefore = parseCreatedDate(CREATED_BEFORE, 'CREATED_BEFORE');
+  if (createdAfter !== null) {
+    filters.push({ reason: `created before ${CREATED_AFTER}`, keep: channel => !channel.created || channel.created >= createdAfter });
+  }
+  if (createdBefore !== null) {
+    filters.push({ reason: `created after ${CREATED_BEFORE}`, keep: channel => !channel.created || channel.created <= createdBefore });
+  }
+
+  return filters;
+}
+
+/**
+ * Apply scope filters to the channel list, logging how many each one left out
+ */
+export function applyScopeFilters(channels, filters) {
+  if (filters.length === 0) return channels;
+
+  let scoped = channels;
+  for (const { reason, keep } of filters) {
+    const kept = scoped.filter(keep);
+    if (kept.length < scoped.length) {
+      console.log(`[INFO] Skipping ${scoped.length - kept.length} channel(s) ${reason}`);
+    }
+    scoped = kept;
+  }
+  console.log(`[INFO] Scan scope: ${scoped.length} of ${channels.length} channels`);
+  return scoped;
+}
+
+/**
+ * Resolve --channels (names or IDs, comma-separated) against the channel list
+ * Throws listing every name that isn't a known channel
+ */
+export function resolveChannelArgs(channels, value) {
+  const byName = new Map(channels.map(channel => [channel.name.toLowerCase(), channel]));
+  const byId = new Map(channels.map(channel => [channel.id, channel]));
+  const resolved = new Map();
+  const unknown = [];
+
+  for (const name of value.split(',').map(part => part.trim().replace(/^#/, '')).filter(Boolean)) {
+    const channel = byId.get(name) || byName.get(name.toLowerCase());
+    if (channel) {
+      resolved.set(channel.id, channel);
+    } else {
+      unknown.push(name);
+    }
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Unknown channel(s) for --channels: ${unknown.join(', ')}`);
+  }
+  return Array.from(resolved.values());
+}
@@ -0,0 +1,71 @@
+import { OUTPUT_SINK, OUTPUT_FILE, METADATA_FILE, DATABASE_FILE, DEBUG } from './config.js';
+import { loadCheckpoint, markChannelProgress, markChannelComplete, clearCheckpoint } from './checkpoint.js';
+import { appendConnections, appendChannelAuthors, loadExistingLinks, loadExistingMentions, loadMetadata, writeMetadata } from './output.js';
+import { createSqliteSink } from './sqlite-sink.js';
+
+/**
+ * Output sinks decide where scan results and checkpoints are stored. Every sink has:
+ *   dataFile                  - file the collected links can be loaded from (CLI, commands)
+ *   loadCheckpoint(channels)  - { completedChannels, inProgress } from an interrupted run
+ *   saveChannels(channels)    - store the channel list from conversations.list
+ *   saveUsers(users)          - store the user list from users.list (see users.js)
+ *   stageConnections(channelId, connections) - links found while scanning a channel; only
+ *                               guaranteed to be stored once the channel's progress is marked
+ *   writeConnections(connections) - store links right away (live capture)
+ *   saveChannelAuthors(channelId, authors) - add user IDs to the set of people who posted in a channel
+ *   markChannelProgress / markChannelComplete - same arguments as in checkpoint.js
+ *   loadExistingLinks(), loadExistingMentions(channelIds), loadMetadata() - as in output.js
+ *   finishRun(channels, metadata) - store metadata for the next incremental run and clear the checkpoint
+ *   close()
+ */
+
+/**
+ * channel-links.jsonl, channel-authors.jsonl, channel-metadata.json and checkpoint.json
+ */
+export function createJsonlSink() {
+  return {
+    name: 'jsonl',
+    dataFile: OUTPUT_FILE,
+    loadCheckpoint,
+    async saveChannels() {
+      // conversations.list results are already kept in channels-cache.json
+    },
+    async saveUsers() {
+      // users.list results are already kept in users-cache.json
+    },
+    async stageConnections(channelId, connections) {
+      await appendConnections(connections);
+    },
+    writeConnections: appendConnections,
+    saveChannelAuthors: appendChannelAuthors,
+    markChannelProgress,
+    markChannelComplete,
+    loadExistingLinks,
+    loadExistingMentions,
+    loadMetadata: () => loadMetadata(METADATA_FILE),
+    async finishRun(channels, metadata) {
+      await writeMetadata(metadata, METADATA_FILE);
+      console.log('[SUCCESS] Metadata saved to ' + METADATA_FILE);
+      console.log('[INFO] Cleaning up checkpoint file...');
+      await clearCheckpoint();
+    },
+    async close() {}
+  };
+}
+
+/**
+ * The sink chosen by OUTPUT_SINK
+ * Debug mode always uses the JSONL sink, which prints links instead of writing them
+ */
+export function createOutputSink() {
+  if (DEBUG || OUTPUT_SINK === 'jsonl') {
+    if (DEBUG && OUTPUT_SINK !== 'jsonl') {
+      console.log(`[DEBUG] Debug mode - ignoring OUTPUT_SINK=${OUTPUT_SINK}, printing links instead`);
+    }
+    return createJsonlSink();
+  }
+  if (OUTPUT_SINK === 'sqlite') {
+    return createSqliteSink(DATABASE_FILE);
+  }
+  throw new Error(`Unknown OUTPUT_SINK "${OUTPUT_SINK}" (expected jsonl or sqlite)`);
+}
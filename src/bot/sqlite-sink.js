@@ -0,0 +1,209 @@
+import { openDatabase } from '../db/schema.js';
+import {
+  getWorkspaceValue,
+  setWorkspaceValues,
+  upsertChannels,
+  upsertUsers,
+  insertChannelAuthors,
+  prepareConnectionInsert,
+  updateCommunities
+} from '../db/store.js';
+import { readGraph } from '../cli/loader.js';
+import { linkKey } from './scanner.js';
+
+/**
+ * Output sink writing straight into channel-graph.db (same schema as utils/convert-to-sqlite.js)
+ * Links found in a channel are held in memory until its next checkpoint, then committed in the
+ * same transaction as the checkpoint row, so a crash never leaves one without the other.
+ */
+export function createSqliteSink(filename) {
+  const db = openDatabase(filename);
+  const insertConnection = prepareConnectionInsert(db);
+  const upsertProgress = db.prepare(`
+    INSERT INTO scan_progress
+    (channel_id, status, cursor, message_count, latest_ts, threads_scanned, replies_scanned, seen_links, authors, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(channel_id) DO UPDATE SET
+      status = excluded.status,
+      cursor = excluded.cursor,
+      message_count = excluded.message_count,
+      latest_ts = excluded.latest_ts,
+      threads_scanned = excluded.threads_scanned,
+      replies_scanned = excluded.replies_scanned,
+      seen_links = excluded.seen_links,
+      authors = excluded.authors,
+      updated_at = excluded.updated_at
+  `);
+
+  // channelId -> connections found since the channel's last checkpoint
+  const staged = new Map();
+
+  const insertConnections = (connections) => {
+    let inserted = 0;
+    for (const conn of connections) {
+      inserted += insertConnection(conn);
+    }
+    return inserted;
+  };
+
+  const commitChannel = db.transaction((channelId, row) => {
+    insertConnections(staged.get(channelId) || []);
+    upsertProgress.run(
+      channelId,
+      row.status,
+      row.cursor || null,
+      row.messageCount || 0,
+      row.latestTs || null,
+      row.threadsScanned || 0,
+      row.repliesScanned || 0,
+      row.seenLinks ? JSON.stringify(row.seenLinks) : null,
+      row.authors ? JSON.stringify(row.authors) : null,
+      new Date().toISOString()
+    );
+  });
+
+  const markChannel = (channelId, row) => {
+    commitChannel(channelId, row);
+    staged.delete(channelId);
+  };
+
+  return {
+    name: 'sqlite',
+    dataFile: filename,
+
+    async loadCheckpoint() {
+      const checkpoint = { completedChannels: {}, inProgress: {} };
+      for (const row of db.prepare('SELECT * FROM scan_progress').iterate()) {
+        if (row.status === 'complete') {
+          checkpoint.completedChannels[row.channel_id] = { messageCount: row.message_count, latestTs: row.latest_ts };
+        } else {
+          checkpoint.inProgress[row.channel_id] = {
+            cursor: row.cursor,
+            messageCount: row.message_count,
+            latestTs: row.latest_ts,
+            threadsScanned: row.threads_scanned,
+            repliesScanned: row.replies_scanned,
+            seenLinks: JSON.parse(row.seen_links || '[]'),
+            authors: JSON.parse(row.authors || '[]')
+          };
+        }
+      }
+
+      const completed = Object.keys(checkpoint.completedChannels).length;
+      const inProgress = Object.keys(checkpoint.inProgress).length;
+      if (completed + inProgress > 0) {
+        console.log(`[INFO] Loaded checkpoint from ${filename}: ${completed} channels done, ${inProgress} to resume mid-channel`);
+      } else {
+        console.log('[INFO] No checkpoint found, starting fresh');
+      }
+      return checkpoint;
+    },
+
+    async saveChannels(channels) {
+      upsertChannels(db, channels);
+    },
+
+    async saveUsers(users) {
+      upsertUsers(db, users);
+    },
+
+    async stageConnections(channelId, connections) {
+      if (!staged.has(channelId)) {
+        staged.set(channelId, []);
+      }
+      staged.get(channelId).push(...connections);
+    },
+
+    async writeConnections(connections) {
+      if (connections.length === 0) return;
+      db.transaction(insertConnections)(connections);
+    },
+
+    async saveChannelAuthors(channelId, authors) {
+      insertChannelAuthors(db, channelId, authors);
+    },
+
+    async markChannelProgress(checkpoint, channelId, progress) {
+      markChannel(channelId, { status: 'in_progress', ...progress });
+      checkpoint.inProgress[channelId] = progress;
+      console.log(`[CHECKPOINT] Saved ${channelId} after ${progress.messageCount.toLocaleString()} messages`);
+    },
+
+    async markChannelComplete(checkpoint, channelId, result) {
+      markChannel(channelId, { status: 'complete', ...result });
+      delete checkpoint.inProgress[channelId];
+      checkpoint.completedChannels[channelId] = result;
+      console.log(`[CHECKPOINT] Saved, ${Object.keys(checkpoint.completedChannels).length} channels done`);
+    },
+
+    async loadExistingLinks() {
+      const links = new Map();
+      for (const row of db.prepare('SELECT DISTINCT from_channel_id, to_channel_id, edge_type FROM connections').iterate()) {
+        if (!links.has(row.from_channel_id)) {
+          links.set(row.from_channel_id, new Set());
+        }
+        links.get(row.from_channel_id).add(linkKey(row.to_channel_id, row.edge_type));
+      }
+      return links;
+    },
+
+    async loadExistingMentions(channelIds) {
+      const mentions = new Map();
+      const select = db.prepare('SELECT to_channel_id, message_ts FROM connections WHERE from_channel_id = ?');
+      for (const channelId of channelIds) {
+        mentions.set(channelId, new Set(select.all(channelId).map(row => `${row.to_channel_id}|${row.message_ts}`)));
+      }
+      return mentions;
+    },
+
+    /**
+     * Metadata of the last completed run, in the shape of channel-metadata.json
+     */
+    async loadMetadata() {
+      const generatedAt = getWorkspaceValue(db, 'generated_at');
+      if (!generatedAt) return null;
+
+      const metadata = { generatedAt, channels: {} };
+      for (const row of db.prepare('SELECT id, name, message_count, latest_message_ts FROM channels').iterate()) {
+        metadata.channels[row.id] = {
+          id: row.id,
+          name: row.name,
+          messageCount: row.message_count || 0,
+          latestMessageTs: row.latest_message_ts
+        };
+      }
+      return metadata;
+    },
+
+    async finishRun(channels, metadata) {
+      const messageCounts = new Map();
+      const setLatestTs = db.prepare('UPDATE channels SET latest_message_ts = ? WHERE id = ?');
+
+      db.transaction(() => {
+        for (const channel of Object.values(metadata.channels)) {
+          messageCounts.set(channel.id, channel.messageCount);
+        }
+        upsertChannels(db, channels, messageCounts);
+        for (const channel of Object.values(metadata.channels)) {
+          setLatestTs.run(channel.latestMessageTs, channel.id);
+        }
+        setWorkspaceValues(db, {
+          workspace_name: metadata.workspace,
+          generated_at: metadata.generatedAt,
+          total_channels: metadata.totalChannels,
+          processing_time_seconds: metadata.processingTimeSeconds
+        });
+        db.prepare('DELETE FROM scan_progress').run();
+      })();
+      console.log(`[SUCCESS] Metadata and message counts saved to ${filename}`);
+
+      console.log('[INFO] Detecting communities...');
+      const communities = updateCommunities(db, await readGraph(filename, {}, { database: true }));
+      console.log(`[SUCCESS] Found ${communities} communities`);
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
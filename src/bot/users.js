@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import { USERS_CACHE_FILE, CLEAR_USER_CACHE } from './config.js';
+
+/**
+ * Keep only what's needed to show a user by name
+ */
+function trimUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    real_name: user.real_name || user.profile?.real_name || null,
+    display_name: user.profile?.display_name || null,
+    is_bot: !!user.is_bot,
+    deleted: !!user.deleted
+  };
+}
+
+/**
+ * Fetch all users in the workspace, cached in users-cache.json like the channel list
+ */
+export async function getAllUsers(webClient) {
+  if (CLEAR_USER_CACHE) {
+    console.log('[INFO] CLEAR_USER_CACHE flag set, deleting cache...');
+    try {
+      await fs.unlink(USERS_CACHE_FILE);
+      console.log('[INFO] User cache cleared');
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  } else {
+    try {
+      const cache = JSON.parse(await fs.readFile(USERS_CACHE_FILE, 'utf-8'));
+      console.log(`[INFO] Loaded ${cache.users.length} users from cache (cached at ${cache.cachedAt})`);
+      return cache.users;
+    } catch (error) {
+      console.log('[INFO] No user cache found, fetching from API...');
+    }
+  }
+
+  console.log('[INFO] Fetching all users...');
+  const allUsers = [];
+  let cursor = undefined;
+
+  try {
+    do {
+      const result = await webClient.users.list({
+        limit: 200,
+        cursor: cursor
+      });
+
+      allUsers.push(...result.members.map(trimUser));
+      cursor = result.response_metadata?.next_cursor;
+
+      console.log(`[INFO] Found ${allUsers.length} users`);
+    } while (cursor);
+
+    const cache = {
+      cachedAt: new Date().toISOString(),
+      totalUsers: allUsers.length,
+      users: allUsers
+    };
+    await fs.writeFile(USERS_CACHE_FILE, JSON.stringify(cache, null, 2), 'utf-8');
+    console.log(`[INFO] Users cached to ${USERS_CACHE_FILE}\n`);
+
+    return allUsers;
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch users:', error.data?.error || error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Centrality and separation analysis over ChannelGraph
+ * Metrics are computed on an index-based copy of the graph and cached per graph instance
+ */
+
+export const METRICS = {
+  pagerank: 'PageRank',
+  betweenness: 'Betweenness',
+  closeness: 'Closeness',
+  in: 'In-degree',
+  out: 'Out-degree'
+};
+
+const cache = new WeakMap(); // graph -> Map(cacheKey -> Map(channelId -> value))
+
+/**
+ * Build compact adjacency arrays for the graph
+ * Returns { ids, index, out, outWeights, in } where out[i] / in[i] hold neighbour indexes
+ */
+export function buildAdjacency(graph) {
+  const ids = Array.from(graph.channels.keys());
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const out = ids.map(() => []);
+  const outWeights = ids.map(() => []);
+  const incoming = ids.map(() => []);
+
+  ids.forEach((id, i) => {
+    for (const connection of graph.channels.get(id).connections) {
+      const j = index.get(connection.to);
+      out[i].push(j);
+      outWeights[i].push(connection.weight);
+      incoming[j].push(i);
+    }
+  });
+
+  return { ids, index, out, outWeights, in: incoming };
+}
+
+// Deterministic pseudo-random generator so sampled results are repeatable
+export function seededRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Pick up to sampleSize node indexes (all of them if sampleSize is not set)
+ */
+export function sampleIndexes(count, sampleSize, seed = 1) {
+  const indexes = Array.from({ length: count }, (_, i) => i);
+  if (!sampleSize || sampleSize >= count) {
+    return indexes;
+  }
+
+  const random = seededRandom(seed);
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  return indexes.slice(0, sampleSize);
+}
+
+function toChannelMap(ids, values) {
+  return new Map(ids.map((id, i) => [id, values[i]]));
+}
+
+/**
+ * Number of distinct channels linking in and out of each channel
+ */
+export function computeDegrees(graph) {
+  const { ids, out, in: incoming } = buildAdjacency(graph);
+  return {
+    in: toChannelMap(ids, incoming.map(list => list.length)),
+    out: toChannelMap(ids, out.map(list => list.length))
+  };
+}
+
+/**
+ * PageRank weighted by mention count
+ * Channels with no outgoing links spread their rank evenly over every channel
+ */
+export function computePageRank(graph, { damping = 0.85, iterations = 100, tolerance = 1e-10 } = {}) {
+  const { ids, out, outWeights } = buildAdjacency(graph);
+  const n = ids.length;
+  if (n === 0) return new Map();
+
+  const totalWeights = outWeights.map(weights => weights.reduce((sum, w) => sum + w, 0));
+  let ranks = new Float64Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      if (totalWeights[i] === 0) dangling += ranks[i];
+    }
+
+    const next = new Float64Array(n).fill((1 - damping) / n + (damping * dangling) / n);
+    for (let i = 0; i < n; i++) {
+      if (totalWeights[i] === 0) continue;
+      const share = (damping * ranks[i]) / totalWeights[i];
+      for (let k = 0; k < out[i].length; k++) {
+        next[out[i][k]] += share * outWeights[i][k];
+      }
+    }
+
+    let change = 0;
+    for (let i = 0; i < n; i++) {
+      change += Math.abs(next[i] - ranks[i]);
+    }
+    ranks = next;
+    if (change < tolerance) break;
+  }
+
+  return toChannelMap(ids, Array.from(ranks));
+}
+
+/**
+ * Betweenness (Brandes) and harmonic closeness from one BFS per source channel
+ * Both are normalised to 0..1. With sampleSize, only that many sources are used and
+ * betweenness is scaled up to estimate the full value.
+ */
+export function computePathCentralities(graph, { sampleSize = null } = {}) {
+  const { ids, out, in: incoming } = buildAdjacency(graph);
+  const n = ids.length;
+  const betweenness = new Float64Array(n);
+  const closeness = new Float64Array(n);
+
+  const dist = new Int32Array(n);
+  const sigma = new Float64Array(n);
+  const delta = new Float64Array(n);
+  const order = new Int32Array(n);
+
+  const sources = sampleIndexes(n, sampleSize);
+  for (const source of sources) {
+    dist.fill(-1);
+    sigma.fill(0);
+    delta.fill(0);
+    dist[source] = 0;
+    sigma[source] = 1;
+
+    // BFS, recording the visiting order
+    let head = 0;
+    let tail = 0;
+    order[tail++] = source;
+    let harmonic = 0;
+    while (head < tail) {
+      const v = order[head++];
+      if (v !== source) harmonic += 1 / dist[v];
+      for (const w of out[v]) {
+        if (dist[w] < 0) {
+          dist[w] = dist[v] + 1;
+          order[tail++] = w;
+        }
+        if (dist[w] === dist[v] + 1) {
+          sigma[w] += sigma[v];
+        }
+      }
+    }
+    closeness[source] = n > 1 ? harmonic / (n - 1) : 0;
+
+    // Accumulate dependencies in reverse BFS order
+    for (let k = tail - 1; k > 0; k--) {
+      const w = order[k];
+      for (const v of incoming[w]) {
+        if (dist[v] === dist[w] - 1) {
+          delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+        }
+      }
+      betweenness[w] += delta[w];
+    }
+  }
+
+  const scale = (n / sources.length) / (n > 2 ? (n - 1) * (n - 2) : 1);
+  for (let i = 0; i < n; i++) {
+    betweenness[i] *= scale;
+  }
+
+  return {
+    betweenness: toChannelMap(ids, Array.from(betweenness)),
+    // Closeness is only known for sampled sources
+    closeness: new Map(sources.map(i => [ids[i], closeness[i]]))
+  };
+}
+
+/**
+ * Degrees of separation: BFS distances between every ordered pair of channels
+ * With sampleSize, only that many source channels are used, which gives an approximate
+ * distribution and a lower bound for the diameter.
+ * Returns { histogram (distance -> pairs), reachablePairs, totalPairs, averageDistance,
+ *           diameter, diameterPair: [fromId, toId], sampled, sourceCount }
+ */
+export function computeSeparation(graph, { sampleSize = null } = {}) {
+  const { ids, out } = buildAdjacency(graph);
+  const n = ids.length;
+  const histogram = new Map();
+  const dist = new Int32Array(n);
+  const queue = new Int32Array(n);
+
+  let reachablePairs = 0;
+  let distanceSum = 0;
+  let diameter = 0;
+  let diameterPair = null;
+
+  const sources = sampleIndexes(n, sampleSize);
+  for (const source of sources) {
+    dist.fill(-1);
+    dist[source] = 0;
+
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = source;
+    while (head < tail) {
+      const v = queue[head++];
+      for (const w of out[v]) {
+        if (dist[w] >= 0) continue;
+        dist[w] = dist[v] + 1;
+        queue[tail++] = w;
+
+        histogram.set(dist[w], (histogram.get(dist[w]) || 0) + 1);
+        reachablePairs++;
+        distanceSum += dist[w];
+        if (dist[w] > diameter) {
+          diameter = dist[w];
+          diameterPair = [ids[source], ids[w]];
+        }
+      }
+    }
+  }
+
+  return {
+    histogram: new Map(Array.from(histogram.entries()).sort((a, b) => a[0] - b[0])),
+    reachablePairs,
+    totalPairs: sources.length * Math.max(n - 1, 0),
+    averageDistance: reachablePairs > 0 ? distanceSum / reachablePairs : 0,
+    diameter,
+    diameterPair,
+    sampled: sources.length < n,
+    sourceCount: sources.length
+  };
+}
+
+/**
+ * Value of a metric for every channel (cached)
+ */
+export function computeMetric(graph, metric, { sampleSize = null } = {}) {
+  if (!METRICS[metric]) {
+    throw new Error(`Unknown metric: ${metric} (available: ${Object.keys(METRICS).join(', ')})`);
+  }
+
+  if (!cache.has(graph)) {
+    cache.set(graph, new Map());
+  }
+  const graphCache = cache.get(graph);
+  const cacheKey = `${metric}:${sampleSize || 'all'}`;
+
+  if (!graphCache.has(cacheKey)) {
+    if (metric === 'pagerank') {
+      graphCache.set(cacheKey, computePageRank(graph));
+    } else if (metric === 'in' || metric === 'out') {
+      const degrees = computeDegrees(graph);
+      graphCache.set(`in:${sampleSize || 'all'}`, degrees.in);
+      graphCache.set(`out:${sampleSize || 'all'}`, degrees.out);
+    } else {
+      const { betweenness, closeness } = computePathCentralities(graph, { sampleSize });
+      graphCache.set(`betweenness:${sampleSize || 'all'}`, betweenness);
+      graphCache.set(`closeness:${sampleSize || 'all'}`, closeness);
+    }
+  }
+
+  return graphCache.get(cacheKey);
+}
+
+/**
+ * Top n channels by a metric
+ * Channels whose name is just their ID (private/unknown) are left out, as in getDetailedStats
+ */
+export function rankChannels(graph, metric, n = 10, options = {}) {
+  const values = computeMetric(graph, metric, options);
+  const ranking = [];
+
+  for (const [id, value] of values.entries()) {
+    const name = graph.getChannelName(id);
+    if (name === id) continue;
+    ranking.push({ id, name, value });
+  }
+
+  ranking.sort((a, b) => b.value - a.value);
+  return ranking.slice(0, n);
+}
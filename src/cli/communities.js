@@ -0,0 +1,202 @@
+/**
+ * Community detection over ChannelGraph (Louvain modularity optimisation)
+ * Links are treated as undirected, weighted by mention count in both directions
+ */
+
+const cache = new WeakMap(); // graph -> Map(channelId -> communityId)
+
+/**
+ * One Louvain pass: move nodes between communities while modularity improves
+ * adjacency: Array<Map<neighbourIndex, weight>>, symmetric, self entries hold twice the internal weight
+ * Returns the community index of every node and whether anything moved
+ */
+function moveNodes(adjacency) {
+  const n = adjacency.length;
+  const degrees = adjacency.map(neighbours => {
+    let sum = 0;
+    for (const weight of neighbours.values()) sum += weight;
+    return sum;
+  });
+  const totalWeight = degrees.reduce((sum, k) => sum + k, 0);
+  const community = Array.from({ length: n }, (_, i) => i);
+  const communityTotals = degrees.slice();
+
+  if (totalWeight === 0) {
+    return { community, moved: false };
+  }
+
+  let moved = false;
+  let improved = true;
+  while (improved) {
+    improved = false;
+
+    for (let i = 0; i < n; i++) {
+      const current = community[i];
+
+      // Weight from i to each neighbouring community
+      const linksTo = new Map();
+      for (const [j, weight] of adjacency[i].entries()) {
+        if (j === i) continue;
+        linksTo.set(community[j], (linksTo.get(community[j]) || 0) + weight);
+      }
+
+      communityTotals[current] -= degrees[i];
+
+      let best = current;
+      let bestGain = (linksTo.get(current) || 0) - (communityTotals[current] * degrees[i]) / totalWeight;
+      for (const [candidate, weight] of linksTo.entries()) {
+        const gain = weight - (communityTotals[candidate] * degrees[i]) / totalWeight;
+        if (gain > bestGain + 1e-12) {
+          best = candidate;
+          bestGain = gain;
+        }
+      }
+
+      communityTotals[best] += degrees[i];
+      if (best !== current) {
+        community[i] = best;
+        improved = true;
+        moved = true;
+      }
+    }
+  }
+
+  return { community, moved };
+}
+
+/**
+ * Detect communities with Louvain
+ * Returns Map(channelId -> communityId), numbered from 0 by community size (largest first)
+ */
+export function detectCommunities(graph) {
+  if (cache.has(graph)) {
+    return cache.get(graph);
+  }
+
+  const ids = Array.from(graph.channels.keys());
+  const index = new Map(ids.map((id, i) => [id, i]));
+
+  // Undirected weighted adjacency
+  let adjacency = ids.map(() => new Map());
+  for (const [from, data] of graph.channels.entries()) {
+    const i = index.get(from);
+    for (const connection of data.connections) {
+      const j = index.get(connection.to);
+      adjacency[i].set(j, (adjacency[i].get(j) || 0) + connection.weight);
+      adjacency[j].set(i, (adjacency[j].get(i) || 0) + connection.weight);
+    }
+  }
+
+  // membership[i] = node of the current level that channel i belongs to
+  let membership = ids.map((_, i) => i);
+
+  while (true) {
+    const { community, moved } = moveNodes(adjacency);
+    if (!moved) break;
+
+    // Renumber communities and collapse each into a single node
+    const renumber = new Map();
+    for (const c of community) {
+      if (!renumber.has(c)) renumber.set(c, renumber.size);
+    }
+    const aggregated = Array.from({ length: renumber.size }, () => new Map());
+    adjacency.forEach((neighbours, i) => {
+      const ci = renumber.get(community[i]);
+      for (const [j, weight] of neighbours.entries()) {
+        const cj = renumber.get(community[j]);
+        aggregated[ci].set(cj, (aggregated[ci].get(cj) || 0) + weight);
+      }
+    });
+
+    membership = membership.map(node => renumber.get(community[node]));
+    adjacency = aggregated;
+  }
+
+  // Number communities by size, largest first
+  const sizes = new Map();
+  for (const c of membership) {
+    sizes.set(c, (sizes.get(c) || 0) + 1);
+  }
+  const order = Array.from(sizes.keys()).sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+  const communityIds = new Map(order.map((c, i) => [c, i]));
+
+  const result = new Map(ids.map((id, i) => [id, communityIds.get(membership[i])]));
+  cache.set(graph, result);
+  return result;
+}
+
+/**
+ * Summarise each community and the links between them
+ * Returns { modularity, communities: [{id, label, size, members, internalEdges, density}],
+ *           between: [{from, to, weight, strongest}] } with members ordered by degree
+ */
+export function getCommunityReport(graph, communities = detectCommunities(graph)) {
+  const byId = new Map();
+  const degree = new Map();
+  for (const [channelId, communityId] of communities.entries()) {
+    if (!byId.has(communityId)) {
+      byId.set(communityId, { id: communityId, members: [], internalEdges: 0 });
+    }
+    byId.get(communityId).members.push(channelId);
+    degree.set(channelId, 0);
+  }
+
+  const between = new Map(); // "a>b" -> {from, to, weight, strongest}
+  let totalWeight = 0;
+  const communityWeights = new Map(); // communityId -> summed weighted degree
+  let internalWeight = 0;
+
+  for (const [from, data] of graph.channels.entries()) {
+    const fromCommunity = communities.get(from);
+    for (const connection of data.connections) {
+      const toCommunity = communities.get(connection.to);
+      degree.set(from, degree.get(from) + 1);
+      degree.set(connection.to, degree.get(connection.to) + 1);
+
+      totalWeight += connection.weight;
+      communityWeights.set(fromCommunity, (communityWeights.get(fromCommunity) || 0) + connection.weight);
+      communityWeights.set(toCommunity, (communityWeights.get(toCommunity) || 0) + connection.weight);
+
+      if (fromCommunity === toCommunity) {
+        byId.get(fromCommunity).internalEdges++;
+        internalWeight += connection.weight;
+        continue;
+      }
+
+      // Group both directions under one community pair
+      const [a, b] = fromCommunity < toCommunity ? [fromCommunity, toCommunity] : [toCommunity, fromCommunity];
+      const key = `${a}>${b}`;
+      if (!between.has(key)) {
+        between.set(key, { from: a, to: b, weight: 0, strongest: null });
+      }
+      const pair = between.get(key);
+      pair.weight += connection.weight;
+      if (!pair.strongest || connection.weight > pair.strongest.weight) {
+        pair.strongest = { from, to: connection.to, weight: connection.weight };
+      }
+    }
+  }
+
+  // Undirected modularity: Q = sum_c (internal_c / m - (degree_c / 2m)^2)
+  let modularity = 0;
+  if (totalWeight > 0) {
+    modularity = internalWeight / totalWeight;
+    for (const weight of communityWeights.values()) {
+      modularity -= (weight / (2 * totalWeight)) ** 2;
+    }
+  }
+
+  const report = Array.from(byId.values()).sort((a, b) => a.id - b.id);
+  for (const community of report) {
+    community.members.sort((a, b) => degree.get(b) - degree.get(a));
+    community.size = community.members.length;
+    community.density = community.size > 1 ? community.internalEdges / (community.size * (community.size - 1)) : 0;
+    community.label = graph.getChannelName(community.members[0]);
+  }
+
+  return {
+    modularity,
+    communities: report,
+    between: Array.from(between.values()).sort((a, b) => b.weight - a.weight)
+  };
+}
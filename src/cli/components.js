@@ -0,0 +1,166 @@
+/**
+ * Connected components of ChannelGraph and reachability explanations
+ */
+
+const cache = new WeakMap(); // graph -> {strong, weak}
+
+/**
+ * Group channels into components, largest first
+ * Returns { components: [[channelId]], componentOf: Map(channelId -> component index) }
+ */
+function indexComponents(groups) {
+  const components = groups.sort((a, b) => b.length - a.length);
+  const componentOf = new Map();
+  components.forEach((members, i) => {
+    for (const id of members) componentOf.set(id, i);
+  });
+  return { components, componentOf };
+}
+
+/**
+ * Strongly connected components (Tarjan, iterative so large graphs can't overflow the stack)
+ */
+export function findStronglyConnectedComponents(graph) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const groups = [];
+  let counter = 0;
+
+  for (const root of graph.channels.keys()) {
+    if (index.has(root)) continue;
+
+    const work = [{ id: root, edges: graph.channels.get(root).connections[Symbol.iterator]() }];
+    index.set(root, counter);
+    low.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const next = frame.edges.next();
+
+      if (!next.done) {
+        const to = next.value.to;
+        if (!index.has(to)) {
+          index.set(to, counter);
+          low.set(to, counter++);
+          stack.push(to);
+          onStack.add(to);
+          work.push({ id: to, edges: graph.channels.get(to).connections[Symbol.iterator]() });
+        } else if (onStack.has(to)) {
+          low.set(frame.id, Math.min(low.get(frame.id), index.get(to)));
+        }
+        continue;
+      }
+
+      // All edges explored: close the component if this is its root
+      work.pop();
+      if (low.get(frame.id) === index.get(frame.id)) {
+        const members = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          members.push(member);
+        } while (member !== frame.id);
+        groups.push(members);
+      }
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.id)));
+      }
+    }
+  }
+
+  return indexComponents(groups);
+}
+
+/**
+ * Weakly connected components (union-find, ignoring link direction)
+ */
+export function findWeaklyConnectedComponents(graph) {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(id) !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+
+  for (const id of graph.channels.keys()) parent.set(id, id);
+  for (const [from, data] of graph.channels.entries()) {
+    for (const connection of data.connections) {
+      const a = find(from);
+      const b = find(connection.to);
+      if (a !== b) parent.set(a, b);
+    }
+  }
+
+  const groups = new Map();
+  for (const id of graph.channels.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+
+  return indexComponents(Array.from(groups.values()));
+}
+
+/**
+ * Strong and weak components (cached)
+ */
+export function getComponents(graph) {
+  if (!cache.has(graph)) {
+    cache.set(graph, {
+      strong: findStronglyConnectedComponents(graph),
+      weak: findWeaklyConnectedComponents(graph)
+    });
+  }
+  return cache.get(graph);
+}
+
+/**
+ * Explain why there is no path from one channel to another
+ * Returns a list of human-readable reasons
+ */
+export function explainNoPath(graph, fromId, toId) {
+  const fromName = `#${graph.getChannelName(fromId)}`;
+  const toName = `#${graph.getChannelName(toId)}`;
+
+  if (graph.findPathAvoiding(fromId, toId)) {
+    return [`A path from ${fromName} to ${toName} exists in the full graph; the search options ruled it out`];
+  }
+
+  const { strong, weak } = getComponents(graph);
+  const reasons = [];
+
+  if (graph.channels.get(fromId).connections.length === 0) {
+    reasons.push(`${fromName} doesn't link to any channel`);
+  }
+  const linksIn = Array.from(graph.channels.values()).some(data => data.edges.has(toId));
+  if (!linksIn) {
+    reasons.push(`No channel links to ${toName}`);
+  }
+
+  const fromWeak = weak.componentOf.get(fromId);
+  const toWeak = weak.componentOf.get(toId);
+  if (fromWeak !== toWeak) {
+    reasons.push(`${fromName} (component of ${weak.components[fromWeak].length}) and ${toName} (component of ${weak.components[toWeak].length}) are not linked in either direction`);
+    return reasons;
+  }
+
+  const fromStrong = strong.componentOf.get(fromId);
+  const toStrong = strong.componentOf.get(toId);
+  reasons.push(`${fromName} is in a component of ${strong.components[fromStrong].length} channel(s) with no path into ${toName}'s component of ${strong.components[toStrong].length}`);
+  if (graph.findPathAvoiding(toId, fromId)) {
+    reasons.push(`Links only run the other way: ${toName} can reach ${fromName}`);
+  }
+
+  return reasons;
+}
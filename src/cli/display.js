@@ -1,21 +1,45 @@
+import { userName } from './people.js';
+
 /**
  * Display path with links
+ * description summarises the search options used (e.g. "strongest links, since 2024-01-01")
  */
-export function displayPath(result, startName, endName) {
+export function displayPath(result, startName, endName, description = '') {
+  const suffix = description ? ` (${description})` : '';
+
   if (!result) {
-    console.log(`\n[NOT FOUND] No path exists from #${startName} to #${endName}\n`);
+    console.log(`\n[NOT FOUND] No path exists from #${startName} to #${endName}${suffix}\n`);
     return;
   }
 
   const { path, links } = result;
-  console.log(`\n[PATH FOUND] ${path.length - 1} hop(s) from #${startName} to #${endName}:\n`);
+  console.log(`\n[PATH FOUND] ${path.length - 1} hop(s) from #${startName} to #${endName}${suffix}:\n`);
 
   for (let i = 0; i < links.length; i++) {
     const link = links[i];
-    console.log(`  ${i + 1}. #${link.from} → #${link.to}`);
+    console.log(`  ${i + 1}. #${link.from}${link.fromArchived ? ' [archived]' : ''} → #${link.to}${link.toArchived ? ' [archived]' : ''}`);
     console.log(`     ${link.messageLink}`);
-    console.log(`     ${link.messageDate}\n`);
+    console.log(`     ${link.messageDate}`);
+    if (link.weight > 1) {
+      console.log(`     ${link.weight} mentions from ${link.authorCount} author(s), last ${link.lastDate}`);
+    }
+    console.log();
+  }
+}
+
+/**
+ * Display several alternative paths between the same two channels
+ */
+export function displayPaths(results, startName, endName, description = '') {
+  if (results.length === 0) {
+    displayPath(null, startName, endName, description);
+    return;
   }
+
+  console.log(`\n[PATHS] ${results.length} route(s) from #${startName} to #${endName}${description ? ` (${description})` : ''}`);
+  results.forEach((result, i) => {
+    displayPath(result, startName, endName, `route ${i + 1} of ${results.length}`);
+  });
 }
 
 /**
@@ -60,6 +84,13 @@ export function displayStats(stats) {
   console.log('\n[STATS] Graph Statistics:');
   console.log(`  Total channels: ${stats.totalChannels}`);
   console.log(`  Total connections: ${stats.totalConnections}`);
+  if (stats.totalMentions > stats.totalConnections) {
+    console.log(`  Total mentions: ${stats.totalMentions}`);
+  }
+  const types = Object.entries(stats.mentionsByType || {});
+  if (types.length > 1 || (types.length === 1 && types[0][0] !== 'mention')) {
+    console.log(`  By type: ${types.sort((a, b) => b[1] - a[1]).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+  }
 
   // Average connections
   const avgConnections = (stats.totalConnections / stats.totalChannels).toFixed(2);
@@ -80,6 +111,15 @@ export function displayStats(stats) {
     console.log(`    ${i + 1}. #${ch.name} - ${ch.total} total (${ch.outgoing} out, ${ch.incoming} in)`);
   }
 
+  // Strongest links (only meaningful when every mention is recorded)
+  if (stats.strongestConnections.length > 0 && stats.strongestConnections[0].weight > 1) {
+    console.log('\n  Strongest Links:');
+    for (let i = 0; i < stats.strongestConnections.length; i++) {
+      const edge = stats.strongestConnections[i];
+      console.log(`    ${i + 1}. #${edge.fromName} → #${edge.toName} - ${edge.weight} mentions from ${edge.authorCount} author(s) (${edge.firstDate.slice(0, 10)} to ${edge.lastDate.slice(0, 10)})`);
+    }
+  }
+
   // Isolated channels (no connections at all)
   const isolated = stats.channelsByConnections.filter(ch => ch.total === 0);
   if (isolated.length > 0) {
@@ -94,3 +134,309 @@ export function displayStats(stats) {
 
   console.log();
 }
+
+/**
+ * Format a metric value for display
+ */
+function formatMetric(metric, value) {
+  if (metric === 'in' || metric === 'out') return String(value);
+  if (metric === 'pagerank') return value.toFixed(5);
+  return value.toFixed(4);
+}
+
+/**
+ * Display a ranking of channels by one metric
+ */
+export function displayRanking(metric, label, ranking) {
+  console.log(`\n[RANK] Top ${ranking.length} channels by ${label}:`);
+  ranking.forEach((ch, i) => {
+    console.log(`  ${i + 1}. #${ch.name} - ${formatMetric(metric, ch.value)}`);
+  });
+  console.log();
+}
+
+/**
+ * Display the top channels for each centrality metric
+ * summary: [{metric, label, ranking}]
+ */
+export function displayCentralitySummary(summary) {
+  console.log('  Top Channels by Metric:');
+  for (const { metric, label, ranking } of summary) {
+    const top = ranking.map(ch => `#${ch.name} (${formatMetric(metric, ch.value)})`).join(', ');
+    console.log(`    ${label}: ${top}`);
+  }
+  console.log();
+}
+
+/**
+ * Display the degrees of separation distribution
+ */
+export function displaySeparation(result, graph) {
+  const percent = (count, total) => (total > 0 ? ((count / total) * 100).toFixed(1) : '0.0');
+
+  console.log(`\n[SEPARATION] Degrees of separation${result.sampled ? ` (approximate, from ${result.sourceCount} sampled channels)` : ''}:`);
+  console.log(`  Reachable pairs: ${result.reachablePairs.toLocaleString()} of ${result.totalPairs.toLocaleString()} (${percent(result.reachablePairs, result.totalPairs)}%)`);
+
+  if (result.reachablePairs === 0) {
+    console.log();
+    return;
+  }
+
+  console.log(`  Average separation: ${result.averageDistance.toFixed(2)} hops`);
+  const [fromId, toId] = result.diameterPair;
+  console.log(`  Diameter: ${result.sampled ? 'at least ' : ''}${result.diameter} hops (e.g. #${graph.getChannelName(fromId)} → #${graph.getChannelName(toId)})`);
+
+  console.log('\n  Distance distribution:');
+  const maxCount = Math.max(...result.histogram.values());
+  for (const [distance, count] of result.histogram.entries()) {
+    const bar = '█'.repeat(Math.max(1, Math.round((count / maxCount) * 30)));
+    console.log(`    ${String(distance).padStart(2)} hop(s): ${bar} ${count.toLocaleString()} (${percent(count, result.reachablePairs)}%)`);
+  }
+
+  console.log('\n  Reachable pairs within:');
+  let cumulative = 0;
+  for (let hops = 1; hops <= 6; hops++) {
+    cumulative += result.histogram.get(hops) || 0;
+    console.log(`    ${hops} hop(s): ${percent(cumulative, result.reachablePairs)}%`);
+  }
+  console.log();
+}
+
+/**
+ * Display detected communities and the strongest links between them
+ */
+export function displayCommunities(report, graph, limit = 10) {
+  const { communities, between, modularity } = report;
+  console.log(`\n[COMMUNITIES] ${communities.length} communities (modularity ${modularity.toFixed(3)}):\n`);
+
+  for (const community of communities.slice(0, limit)) {
+    console.log(`  ${community.id + 1}. #${community.label} cluster - ${community.size} channel(s), ${community.internalEdges} internal link(s), density ${community.density.toFixed(3)}`);
+    const members = community.members.slice(0, 10).map(id => `#${graph.getChannelName(id)}`);
+    console.log(`     ${members.join(', ')}${community.size > 10 ? `, ... and ${community.size - 10} more` : ''}`);
+  }
+  if (communities.length > limit) {
+    console.log(`\n  ... and ${communities.length - limit} more communities`);
+  }
+
+  if (between.length > 0) {
+    console.log('\n  Strongest Links Between Communities:');
+    const labels = new Map(communities.map(c => [c.id, c.label]));
+    for (const pair of between.slice(0, 10)) {
+      const { from, to, weight } = pair.strongest;
+      console.log(`    #${labels.get(pair.from)} cluster ↔ #${labels.get(pair.to)} cluster - weight ${pair.weight} (strongest: #${graph.getChannelName(from)} → #${graph.getChannelName(to)}, ${weight})`);
+    }
+  }
+  console.log();
+}
+
+/**
+ * Display every member of one community
+ */
+export function displayCommunity(community, graph) {
+  console.log(`\n[COMMUNITY] #${community.label} cluster - ${community.size} channel(s), density ${community.density.toFixed(3)}:\n`);
+  for (const id of community.members) {
+    console.log(`  - #${graph.getChannelName(id)}`);
+  }
+  console.log();
+}
+
+/**
+ * Display strongly/weakly connected components and the small islands outside the giant one
+ */
+export function displayComponents({ strong, weak }, graph, limit = 10) {
+  const total = graph.getTotalChannels();
+  const percent = (count) => (total > 0 ? ((count / total) * 100).toFixed(1) : '0.0');
+  const giantStrong = strong.components[0]?.length || 0;
+  const giantWeak = weak.components[0]?.length || 0;
+  const singletons = strong.components.filter(members => members.length === 1).length;
+
+  console.log(`\n[COMPONENTS] ${total} channel(s):`);
+  console.log(`  Strongly connected: ${strong.components.length} component(s), giant has ${giantStrong} channel(s) (${percent(giantStrong)}%)`);
+  console.log(`  Channels not on any loop: ${singletons}`);
+  console.log(`  Weakly connected: ${weak.components.length} component(s), giant has ${giantWeak} channel(s) (${percent(giantWeak)}%)`);
+
+  const islands = weak.components.slice(1);
+  if (islands.length === 0) {
+    console.log();
+    return;
+  }
+
+  console.log(`\n  Islands (not linked to the giant component in either direction):`);
+  for (const members of islands.slice(0, limit)) {
+    const names = members.slice(0, 10).map(id => `#${graph.getChannelName(id)}`);
+    console.log(`    ${members.length} channel(s): ${names.join(', ')}${members.length > 10 ? `, ... and ${members.length - 10} more` : ''}`);
+  }
+  if (islands.length > limit) {
+    console.log(`    ... and ${islands.length - limit} more islands`);
+  }
+  console.log();
+}
+
+/**
+ * Display why a path search found nothing
+ */
+export function displayNoPathReasons(reasons) {
+  for (const reason of reasons) {
+    console.log(`  - ${reason}`);
+  }
+  console.log();
+}
+
+/**
+ * Display how the graph grew per period
+ */
+export function displayTimeline(rows, granularity) {
+  if (rows.length === 0) {
+    console.log('\n[TIMELINE] No dated links in range\n');
+    return;
+  }
+
+  const sampled = rows.some(row => row.sampled);
+  console.log(`\n[TIMELINE] Graph growth per ${granularity}${sampled ? ' (separation approximate, from sampled channels)' : ''}:\n`);
+  console.log(`  ${'Period'.padEnd(8)} ${'New ch.'.padStart(8)} ${'New links'.padStart(10)} ${'Channels'.padStart(9)} ${'Links'.padStart(8)} ${'Giant comp.'.padStart(16)} ${'Avg sep.'.padStart(9)}`);
+  for (const row of rows) {
+    const giant = `${row.giantComponent} (${row.channels > 0 ? ((row.giantComponent / row.channels) * 100).toFixed(0) : 0}%)`;
+    const separation = row.averageSeparation > 0 ? row.averageSeparation.toFixed(2) : '-';
+    console.log(`  ${row.label.padEnd(8)} ${`+${row.newChannels}`.padStart(8)} ${`+${row.newEdges}`.padStart(10)} ${String(row.channels).padStart(9)} ${String(row.edges).padStart(8)} ${giant.padStart(16)} ${separation.padStart(9)}`);
+  }
+  console.log();
+}
+
+/**
+ * Display the links and hubs that changed between two snapshots
+ */
+export function displayDiff(diff, graph, limit = 20) {
+  const { before, after } = diff;
+  const name = (id) => `#${graph.getChannelName(id)}`;
+  const listEdges = (edges) => {
+    if (edges.length === 0) {
+      console.log('    none');
+      return;
+    }
+    for (const edge of edges.slice(0, limit)) {
+      console.log(`    ${name(edge.from)} → ${name(edge.to)} (${edge.weight} mention(s), first ${edge.firstDate.slice(0, 10)})`);
+    }
+    if (edges.length > limit) {
+      console.log(`    ... and ${edges.length - limit} more`);
+    }
+  };
+
+  console.log(`\n[DIFF] ${before.date.slice(0, 10)} → ${after.date.slice(0, 10)}`);
+  console.log(`  Channels: ${before.channels} → ${after.channels}`);
+  console.log(`  Links: ${before.edges} → ${after.edges}`);
+
+  console.log(`\n  Links that appeared (${diff.edgesAppeared.length}):`);
+  listEdges(diff.edgesAppeared);
+  console.log(`\n  Links that disappeared (${diff.edgesDisappeared.length}):`);
+  listEdges(diff.edgesDisappeared);
+
+  console.log('\n  New hubs:');
+  if (diff.hubsAppeared.length === 0) console.log('    none');
+  for (const hub of diff.hubsAppeared) {
+    console.log(`    ${name(hub.id)} - ${hub.degree} linked channel(s), was ${hub.previousDegree}`);
+  }
+  console.log('\n  Hubs no longer in the top:');
+  if (diff.hubsDisappeared.length === 0) console.log('    none');
+  for (const hub of diff.hubsDisappeared) {
+    console.log(`    ${name(hub.id)} - ${hub.degree} linked channel(s), now ${hub.currentDegree}`);
+  }
+  console.log();
+}
+
+/**
+ * Display the users who posted the most cross-channel links
+ */
+export function displayPeople(ranking, users, limit = 10) {
+  if (ranking.length === 0) {
+    console.log('\n[PEOPLE] No links with a known author\n');
+    return;
+  }
+
+  console.log(`\n[PEOPLE] Top ${Math.min(limit, ranking.length)} of ${ranking.length} user(s) by links posted:\n`);
+  ranking.slice(0, limit).forEach((entry, i) => {
+    const name = userName(users, entry.userId);
+    console.log(`  ${i + 1}. @${name}${name !== entry.userId ? ` (${entry.userId})` : ''} - ${entry.links} link(s) between ${entry.channels} channel(s), ${entry.mentions} mention(s)`);
+  });
+  console.log();
+}
+
+/**
+ * Display the links one user posted
+ */
+export function displayBridges(bridges, userId, users, graph, limit = 20) {
+  const name = userName(users, userId);
+  if (bridges.length === 0) {
+    console.log(`\n[BRIDGES] No links posted by @${name}\n`);
+    return;
+  }
+
+  const channels = new Set(bridges.flatMap(bridge => [bridge.from, bridge.to]));
+  console.log(`\n[BRIDGES] @${name} posted ${bridges.length} link(s) between ${channels.size} channel(s):\n`);
+  bridges.slice(0, limit).forEach((bridge, i) => {
+    const types = bridge.types.some(type => type !== 'mention') ? `, ${bridge.types.join('/')}` : '';
+    console.log(`  ${i + 1}. #${graph.getChannelName(bridge.from)} → #${graph.getChannelName(bridge.to)} (${bridge.mentions} mention(s)${types}, ${bridge.firstDate.slice(0, 10)} to ${bridge.lastDate.slice(0, 10)})`);
+    console.log(`     ${bridge.messageLink}`);
+  });
+  if (bridges.length > limit) {
+    console.log(`  ... and ${bridges.length - limit} more`);
+  }
+  console.log();
+}
+
+/**
+ * Display who links two channels and who posts in both
+ */
+export function displayConnectors(connectors, fromName, toName, users, limit = 20) {
+  const { linkers, sharedPosters } = connectors;
+  console.log(`\n[WHO CONNECTS] #${fromName} and #${toName}\n`);
+
+  console.log(`  Posted links between them (${linkers.length}):`);
+  if (linkers.length === 0) console.log('    none');
+  for (const linker of linkers.slice(0, limit)) {
+    const directions = [];
+    if (linker.forward > 0) directions.push(`${linker.forward} → #${toName}`);
+    if (linker.backward > 0) directions.push(`${linker.backward} → #${fromName}`);
+    console.log(`    @${userName(users, linker.userId)} - ${directions.join(', ')}, first ${linker.firstDate.slice(0, 10)}`);
+    console.log(`      ${linker.messageLink}`);
+  }
+  if (linkers.length > limit) {
+    console.log(`    ... and ${linkers.length - limit} more`);
+  }
+
+  if (sharedPosters === null) {
+    console.log('\n  Posted in both: unknown (no author data for these channels, see channel-authors.jsonl)');
+  } else {
+    console.log(`\n  Posted in both (${sharedPosters.length}):`);
+    const names = sharedPosters.slice(0, limit).map(userId => `@${userName(users, userId)}`);
+    console.log(`    ${names.length > 0 ? names.join(', ') : 'none'}${sharedPosters.length > limit ? `, ... and ${sharedPosters.length - limit} more` : ''}`);
+  }
+  console.log();
+}
+
+/**
+ * Display channel pairs (or one channel's neighbours) tied by shared posters
+ * skippedUsers: users left out of the pairs for posting in more than maxChannels channels
+ */
+export function displaySharedPosters(rows, graph, { channelId = null, limit = 10, skippedUsers = 0, maxChannels = null } = {}) {
+  const name = (id) => `#${graph.getChannelName(id)}`;
+  if (skippedUsers > 0) {
+    console.log(`\n[INFO] Left out ${skippedUsers} user(s) who posted in more than ${maxChannels} channels (--max-channels to change)`);
+  }
+  if (rows.length === 0) {
+    console.log(`\n[POSTERS] No channels share posters${channelId ? ` with ${name(channelId)}` : ''}\n`);
+    return;
+  }
+
+  if (channelId) {
+    console.log(`\n[POSTERS] Channels sharing the most posters with ${name(channelId)}:\n`);
+    rows.slice(0, limit).forEach((row, i) => {
+      console.log(`  ${i + 1}. ${name(row.id)} - ${row.shared} shared poster(s), ${(row.overlap * 100).toFixed(1)}% overlap`);
+    });
+  } else {
+    console.log(`\n[POSTERS] Top ${Math.min(limit, rows.length)} of ${rows.length} channel pair(s) by shared posters:\n`);
+    rows.slice(0, limit).forEach((row, i) => {
+      console.log(`  ${i + 1}. ${name(row.a)} ↔ ${name(row.b)} - ${row.shared} shared poster(s), ${(row.overlap * 100).toFixed(1)}% overlap`);
+    });
+  }
+  console.log();
+}
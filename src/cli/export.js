@@ -0,0 +1,337 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDate, parseEdgeTypes } from './options.js';
+import { isDatabaseFile } from './loader.js';
+
+/**
+ * Export ChannelGraph to formats used by graph tools (Gephi, Cytoscape, Graphviz)
+ */
+
+export const EXPORT_FORMATS = {
+  graphml: 'GraphML',
+  gexf: 'GEXF',
+  dot: 'Graphviz DOT',
+  cytoscape: 'Cytoscape.js JSON'
+};
+
+/**
+ * Read per-channel attributes from the bot's cache and metadata files next to the data file
+ * Either may be missing, which is only worth a warning for JSONL data (a database has its own)
+ * Returns Map(channelId -> {messageCount, archived, private})
+ */
+export function loadChannelAttributes(inputFile, {
+  cacheFile = path.join(path.dirname(inputFile), 'channels-cache.json'),
+  metadataFile = path.join(path.dirname(inputFile), 'channel-metadata.json'),
+  database = isDatabaseFile(inputFile)
+} = {}) {
+  const attributes = new Map();
+  const get = (id) => {
+    if (!attributes.has(id)) {
+      attributes.set(id, { messageCount: null, archived: null, private: null });
+    }
+    return attributes.get(id);
+  };
+
+  if (fs.existsSync(cacheFile)) {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    for (const channel of cache.channels || []) {
+      const attrs = get(channel.id);
+      attrs.archived = !!channel.is_archived;
+      attrs.private = !!channel.is_private;
+    }
+  } else if (!database) {
+    console.log(`[WARN] No ${cacheFile} - channels are exported without archived/private flags`);
+  }
+
+  if (fs.existsSync(metadataFile)) {
+    const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+    for (const channel of Object.values(metadata.channels || {})) {
+      if (channel.messageCount !== undefined) {
+        get(channel.id).messageCount = channel.messageCount;
+      }
+    }
+  } else if (!database) {
+    console.log(`[WARN] No ${metadataFile} - channels are exported without message counts`);
+  }
+
+  return attributes;
+}
+
+/**
+ * Pick the channels and links to export
+ * options: { minDegree, since, until (ISO strings), around (channel ID), hops, types (Set of edge types) }
+ * Returns { nodes: [channelId], edges: [{from, to, weight, firstDate, messageLink, types}] }
+ */
+export function selectSubgraph(graph, { minDegree = 0, since = null, until = null, around = null, hops = 1, types = null } = {}) {
+  // Links, restricted to mentions inside the date range and of the chosen types
+  let edges = [];
+  for (const [from, data] of graph.channels.entries()) {
+    for (const connection of data.connections) {
+      let mentions = graph.getMentionsInRange(connection, since, until);
+      if (types) {
+        mentions = mentions.filter(mention => types.has(mention.edgeType));
+      }
+      if (mentions.length === 0) continue;
+      edges.push({
+        from,
+        to: connection.to,
+        weight: mentions.length,
+        firstDate: mentions[0].messageDate,
+        messageLink: mentions[0].messageLink,
+        types: Array.from(new Set(mentions.map(mention => mention.edgeType))).join(',')
+      });
+    }
+  }
+
+  // A date range or type filter leaves out channels with no links inside it
+  let nodes = new Set(graph.channels.keys());
+  if (since || until || types) {
+    nodes = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+  }
+
+  // Neighbourhood: channels within `hops` links of the centre, in either direction
+  if (around) {
+    const neighbours = new Map();
+    for (const { from, to } of edges) {
+      if (!neighbours.has(from)) neighbours.set(from, []);
+      if (!neighbours.has(to)) neighbours.set(to, []);
+      neighbours.get(from).push(to);
+      neighbours.get(to).push(from);
+    }
+
+    const distance = new Map([[around, 0]]);
+    const queue = [around];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (distance.get(current) >= hops) continue;
+      for (const next of neighbours.get(current) || []) {
+        if (distance.has(next)) continue;
+        distance.set(next, distance.get(current) + 1);
+        queue.push(next);
+      }
+    }
+    nodes = new Set(distance.keys());
+  }
+
+  edges = edges.filter(edge => nodes.has(edge.from) && nodes.has(edge.to));
+
+  // Distinct neighbours of each channel inside the subgraph
+  if (minDegree > 0) {
+    const neighbours = new Map();
+    for (const { from, to } of edges) {
+      if (!neighbours.has(from)) neighbours.set(from, new Set());
+      if (!neighbours.has(to)) neighbours.set(to, new Set());
+      neighbours.get(from).add(to);
+      neighbours.get(to).add(from);
+    }
+    nodes = new Set(Array.from(nodes).filter(id => (neighbours.get(id)?.size || 0) >= minDegree));
+    edges = edges.filter(edge => nodes.has(edge.from) && nodes.has(edge.to));
+  }
+
+  return { nodes: Array.from(nodes), edges };
+}
+
+export const EXPORT_VALUE_FLAGS = ['min-degree', 'since', 'until', 'around', 'hops', 'types'];
+
+/**
+ * Turn export --flags into selectSubgraph options
+ */
+export function parseExportOptions(graph, flags) {
+  const options = {
+    minDegree: flags['min-degree'] ? parseInt(flags['min-degree']) : 0,
+    since: parseDate(flags.since),
+    until: parseDate(flags.until, true),
+    around: null,
+    hops: flags.hops ? parseInt(flags.hops) : 1,
+    types: parseEdgeTypes(flags.types)
+  };
+
+  if (isNaN(options.minDegree) || options.minDegree < 0) {
+    throw new Error('--min-degree must be a number');
+  }
+  if (isNaN(options.hops) || options.hops < 1) {
+    throw new Error('--hops must be a positive number');
+  }
+  if (flags.around) {
+    options.around = graph.getChannelId(flags.around.replace(/^#/, ''));
+    if (!options.around) {
+      throw new Error(`Channel not found: ${flags.around}`);
+    }
+  }
+
+  return options;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// Node attributes that are known, as [key, value] pairs
+// Details loaded with the graph (from the SQLite database) fill in what the files don't have
+function nodeAttributes(graph, attributes, id) {
+  const attrs = attributes.get(id) || {};
+  const details = graph.channels.get(id);
+  const pick = (value, fallback) => (value !== null && value !== undefined ? value : fallback);
+  return [
+    ['name', graph.getChannelName(id)],
+    ['messageCount', pick(attrs.messageCount, details.messageCount)],
+    ['archived', pick(attrs.archived, details.archived)],
+    ['private', pick(attrs.private, details.isPrivate)]
+  ].filter(([, value]) => value !== null && value !== undefined);
+}
+
+function edgeAttributes(edge) {
+  return [
+    ['weight', edge.weight],
+    ['firstDate', edge.firstDate],
+    ['messageLink', edge.messageLink],
+    ['types', edge.types]
+  ];
+}
+
+function toGraphML({ nodes, edges }, graph, attributes) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="messageCount" for="node" attr.name="messageCount" attr.type="int"/>',
+    '  <key id="archived" for="node" attr.name="archived" attr.type="boolean"/>',
+    '  <key id="private" for="node" attr.name="private" attr.type="boolean"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+    '  <key id="firstDate" for="edge" attr.name="firstDate" attr.type="string"/>',
+    '  <key id="messageLink" for="edge" attr.name="messageLink" attr.type="string"/>',
+    '  <key id="types" for="edge" attr.name="types" attr.type="string"/>',
+    '  <graph id="channels" edgedefault="directed">'
+  ];
+
+  for (const id of nodes) {
+    lines.push(`    <node id="${escapeXml(id)}">`);
+    for (const [key, value] of nodeAttributes(graph, attributes, id)) {
+      lines.push(`      <data key="${key}">${escapeXml(value)}</data>`);
+    }
+    lines.push('    </node>');
+  }
+
+  edges.forEach((edge, i) => {
+    lines.push(`    <edge id="e${i}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}">`);
+    for (const [key, value] of edgeAttributes(edge)) {
+      lines.push(`      <data key="${key}">${escapeXml(value)}</data>`);
+    }
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+function toGEXF({ nodes, edges }, graph, attributes) {
+  const nodeAttributeIds = { messageCount: 0, archived: 1, private: 2 };
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>sixdegreesofhackclub</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed">',
+    '    <attributes class="node">',
+    '      <attribute id="0" title="messageCount" type="integer"/>',
+    '      <attribute id="1" title="archived" type="boolean"/>',
+    '      <attribute id="2" title="private" type="boolean"/>',
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="0" title="firstDate" type="string"/>',
+    '      <attribute id="1" title="messageLink" type="string"/>',
+    '      <attribute id="2" title="types" type="string"/>',
+    '    </attributes>',
+    '    <nodes>'
+  ];
+
+  for (const id of nodes) {
+    const values = nodeAttributes(graph, attributes, id).filter(([key]) => key !== 'name');
+    lines.push(`      <node id="${escapeXml(id)}" label="${escapeXml(graph.getChannelName(id))}">`);
+    if (values.length > 0) {
+      lines.push('        <attvalues>');
+      for (const [key, value] of values) {
+        lines.push(`          <attvalue for="${nodeAttributeIds[key]}" value="${escapeXml(value)}"/>`);
+      }
+      lines.push('        </attvalues>');
+    }
+    lines.push('      </node>');
+  }
+
+  lines.push('    </nodes>', '    <edges>');
+  edges.forEach((edge, i) => {
+    lines.push(`      <edge id="${i}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}" weight="${edge.weight}">`);
+    lines.push('        <attvalues>');
+    lines.push(`          <attvalue for="0" value="${escapeXml(edge.firstDate)}"/>`);
+    lines.push(`          <attvalue for="1" value="${escapeXml(edge.messageLink)}"/>`);
+    lines.push(`          <attvalue for="2" value="${escapeXml(edge.types)}"/>`);
+    lines.push('        </attvalues>');
+    lines.push('      </edge>');
+  });
+
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+function toDOT({ nodes, edges }, graph, attributes) {
+  const lines = ['digraph channels {'];
+
+  for (const id of nodes) {
+    const attrs = nodeAttributes(graph, attributes, id)
+      .map(([key, value]) => `${key === 'name' ? 'label' : key}="${escapeDot(key === 'name' ? `#${value}` : value)}"`);
+    lines.push(`  "${escapeDot(id)}" [${attrs.join(', ')}];`);
+  }
+
+  for (const edge of edges) {
+    const attrs = edgeAttributes(edge).map(([key, value]) => `${key}="${escapeDot(value)}"`);
+    lines.push(`  "${escapeDot(edge.from)}" -> "${escapeDot(edge.to)}" [${attrs.join(', ')}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function toCytoscape({ nodes, edges }, graph, attributes) {
+  const elements = {
+    nodes: nodes.map(id => ({
+      data: { id, ...Object.fromEntries(nodeAttributes(graph, attributes, id)) }
+    })),
+    edges: edges.map((edge, i) => ({
+      data: { id: `e${i}`, source: edge.from, target: edge.to, ...Object.fromEntries(edgeAttributes(edge)) }
+    }))
+  };
+  return JSON.stringify({ elements }, null, 2) + '\n';
+}
+
+const SERIALIZERS = {
+  graphml: toGraphML,
+  gexf: toGEXF,
+  dot: toDOT,
+  cytoscape: toCytoscape
+};
+
+/**
+ * Write the (filtered) graph to a file
+ * attributes come from loadChannelAttributes; without them only details loaded with the graph are used
+ * Returns { nodes, edges } counts
+ */
+export function exportGraph(graph, format, filename, options = {}, attributes = new Map()) {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {
+    throw new Error(`Unknown format: ${format} (available: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const subgraph = selectSubgraph(graph, options);
+  fs.writeFileSync(filename, serialize(subgraph, graph, attributes), 'utf-8');
+  return { nodes: subgraph.nodes.length, edges: subgraph.edges.length };
+}
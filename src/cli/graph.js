@@ -1,29 +1,157 @@
+import { MinHeap } from './heap.js';
+
+// How a message can reference a channel; records without an edgeType are mentions
+export const EDGE_TYPES = ['mention', 'permalink', 'share'];
+
 /**
  * Graph structure to store channel connections
  */
 export class ChannelGraph {
   constructor() {
-    this.channels = new Map(); // channelId -> {name, connections: [{to, messageLink, messageDate}]}
+    this.channels = new Map(); // channelId -> {name, connections: [edge], edges: Map<to, edge>, ...details}
     this.nameToId = new Map(); // channelName -> channelId
+    this.previousNameToId = new Map(); // name a channel had before a rename -> channelId
+  }
+
+  // Add a channel even if it has no links, with optional details from the channel list
+  // ({archived, isPrivate, messageCount, created, archivedAt, previousNames}); an existing channel
+  // keeps its links. Renaming a channel keeps its old name as a previous name
+  addChannel(id, name, details = {}) {
+    if (!this.channels.has(id)) {
+      this.channels.set(id, { name, connections: [], edges: new Map() });
+    }
+    const channelData = this.channels.get(id);
+    if (name && name !== channelData.name) {
+      if (this.nameToId.get(channelData.name.toLowerCase()) === id) {
+        this.nameToId.delete(channelData.name.toLowerCase());
+      }
+      // Channels we never had a name for are stored under their ID
+      if (channelData.name !== id) {
+        this.addPreviousName(id, channelData.name);
+      }
+      channelData.name = name;
+    }
+    this.nameToId.set(channelData.name.toLowerCase(), id);
+
+    const { previousNames = [], ...rest } = details;
+    Object.assign(channelData, rest);
+    for (const previousName of previousNames) {
+      this.addPreviousName(id, previousName);
+    }
   }
 
-  addConnection(from, to, fromName, toName, messageLink, messageDate) {
+  addPreviousName(id, previousName) {
+    const channelData = this.channels.get(id);
+    if (!previousName || previousName === channelData.name) return;
+    channelData.previousNames = channelData.previousNames || [];
+    if (!channelData.previousNames.includes(previousName)) {
+      channelData.previousNames.push(previousName);
+    }
+    this.previousNameToId.set(previousName.toLowerCase(), id);
+  }
+
+  // Each edge aggregates every mention from one channel to another:
+  // {to, messageLink, messageDate (earliest mention), weight, firstDate, lastDate, authors, types, mentions}
+  // edgeType is how the message referenced the channel: mention, permalink or share
+  addConnection(from, to, fromName, toName, messageLink, messageDate, authorUserId = null, edgeType = 'mention') {
     // Add channel if not exists
     if (!this.channels.has(from)) {
-      this.channels.set(from, { name: fromName, connections: [] });
+      this.channels.set(from, { name: fromName, connections: [], edges: new Map() });
       this.nameToId.set(fromName.toLowerCase(), from);
     }
     if (!this.channels.has(to)) {
-      this.channels.set(to, { name: toName, connections: [] });
+      this.channels.set(to, { name: toName, connections: [], edges: new Map() });
       this.nameToId.set(toName.toLowerCase(), to);
     }
 
-    // Add connection
-    this.channels.get(from).connections.push({
-      to,
-      messageLink,
-      messageDate
-    });
+    const channelData = this.channels.get(from);
+    let edge = channelData.edges.get(to);
+
+    if (!edge) {
+      edge = {
+        to,
+        messageLink,
+        messageDate,
+        weight: 0,
+        firstDate: messageDate,
+        lastDate: messageDate,
+        authors: new Set(),
+        types: new Set(),
+        mentions: []
+      };
+      channelData.edges.set(to, edge);
+      channelData.connections.push(edge);
+    }
+
+    // Add mention
+    edge.weight++;
+    edge.mentions.push({ messageLink, messageDate, authorUserId, edgeType });
+    edge.mentionsSorted = false;
+    edge.types.add(edgeType);
+    if (authorUserId) {
+      edge.authors.add(authorUserId);
+    }
+    if (messageDate < edge.firstDate) {
+      edge.firstDate = messageDate;
+      edge.messageLink = messageLink;
+      edge.messageDate = messageDate;
+    }
+    if (messageDate > edge.lastDate) {
+      edge.lastDate = messageDate;
+    }
+  }
+
+  getConnection(from, to) {
+    return this.channels.get(from)?.edges.get(to);
+  }
+
+  // Mentions on an edge inside an optional date range (ISO strings, inclusive), oldest first
+  getMentionsInRange(edge, since = null, until = null) {
+    if (!edge.mentionsSorted) {
+      edge.mentions.sort((a, b) => (a.messageDate < b.messageDate ? -1 : a.messageDate > b.messageDate ? 1 : 0));
+      edge.mentionsSorted = true;
+    }
+    if (!since && !until) {
+      return edge.mentions;
+    }
+    return edge.mentions.filter(m => (!since || m.messageDate >= since) && (!until || m.messageDate <= until));
+  }
+
+  // New graph holding only the mentions keep(mention, from, to) accepts
+  // Channels are included once they have a link left, with their names and details;
+  // with keepChannels every channel is, so one without links left is isolated rather than unknown
+  filterMentions(keep, { keepChannels = false } = {}) {
+    const filtered = new ChannelGraph();
+    if (keepChannels) {
+      for (const [id, { name, connections, edges, ...details }] of this.channels.entries()) {
+        filtered.addChannel(id, name, details);
+      }
+    }
+
+    for (const [from, data] of this.channels.entries()) {
+      for (const edge of data.connections) {
+        for (const mention of edge.mentions) {
+          if (!keep(mention, from, edge.to)) continue;
+          filtered.addConnection(
+            from,
+            edge.to,
+            data.name,
+            this.getChannelName(edge.to),
+            mention.messageLink,
+            mention.messageDate,
+            mention.authorUserId,
+            mention.edgeType
+          );
+        }
+      }
+    }
+
+    for (const id of filtered.channels.keys()) {
+      const { name, connections, edges, ...details } = this.channels.get(id);
+      filtered.addChannel(id, null, details);
+    }
+
+    return filtered;
   }
 
   getChannelId(nameOrId) {
@@ -31,8 +159,14 @@ export class ChannelGraph {
     if (this.channels.has(nameOrId)) {
       return nameOrId;
     }
-    // Try as name
-    return this.nameToId.get(nameOrId.toLowerCase());
+    // Try as name, then as a name the channel had before being renamed
+    const name = nameOrId.toLowerCase();
+    return this.nameToId.get(name) || this.previousNameToId.get(name);
+  }
+
+  // Whether a channel has been archived (only known with details from the channel list)
+  isArchived(id) {
+    return !!this.channels.get(id)?.archived;
   }
 
   getChannelName(id) {
@@ -78,6 +212,249 @@ export class ChannelGraph {
     return null; // No path found
   }
 
+  // Dijkstra over edges with at least one mention in the date range.
+  // With strong, a hop costs 1 / mentions so heavily used links are preferred; otherwise every hop costs 1
+  findWeightedPath(startId, endId, { strong = false, since = null, until = null } = {}) {
+    if (startId === endId) {
+      return { path: [startId], links: [] };
+    }
+
+    const costs = new Map([[startId, 0]]);
+    const previous = new Map(); // channelId -> {from, mention, weight}
+    const heap = new MinHeap();
+    heap.push(0, startId);
+
+    while (heap.size > 0) {
+      const { priority: cost, value: current } = heap.pop();
+      if (cost > costs.get(current)) continue; // Stale entry
+      if (current === endId) break;
+
+      const channelData = this.channels.get(current);
+      if (!channelData) continue;
+
+      for (const connection of channelData.connections) {
+        const mentions = this.getMentionsInRange(connection, since, until);
+        if (mentions.length === 0) continue;
+
+        const nextCost = cost + (strong ? 1 / mentions.length : 1);
+        if (nextCost < (costs.get(connection.to) ?? Infinity)) {
+          costs.set(connection.to, nextCost);
+          previous.set(connection.to, { from: current, mention: mentions[0], weight: mentions.length });
+          heap.push(nextCost, connection.to);
+        }
+      }
+    }
+
+    return this.buildPathFromPrevious(startId, endId, previous);
+  }
+
+  // Earliest-arrival search: every hop's message must be later than the previous hop's,
+  // so the path shows how information could actually have travelled from start to end
+  findChronologicalPath(startId, endId, { since = null, until = null } = {}) {
+    if (startId === endId) {
+      return { path: [startId], links: [] };
+    }
+
+    const arrivals = new Map([[startId, '']]); // channelId -> date it was first reached ('' sorts first)
+    const previous = new Map();
+    const heap = new MinHeap();
+    heap.push('', startId);
+
+    while (heap.size > 0) {
+      const { priority: arrival, value: current } = heap.pop();
+      if (arrival > arrivals.get(current)) continue; // Stale entry
+      if (current === endId) break;
+
+      const channelData = this.channels.get(current);
+      if (!channelData) continue;
+
+      for (const connection of channelData.connections) {
+        const mentions = this.getMentionsInRange(connection, since, until);
+
+        // Binary search for the first mention after we arrived here
+        let lo = 0;
+        let hi = mentions.length;
+        while (lo < hi) {
+          const mid = (lo + hi) >> 1;
+          if (mentions[mid].messageDate > arrival) hi = mid;
+          else lo = mid + 1;
+        }
+        if (lo === mentions.length) continue;
+
+        const mention = mentions[lo];
+        if (mention.messageDate < (arrivals.get(connection.to) ?? '\uffff')) {
+          arrivals.set(connection.to, mention.messageDate);
+          previous.set(connection.to, { from: current, mention, weight: mentions.length });
+          heap.push(mention.messageDate, connection.to);
+        }
+      }
+    }
+
+    return this.buildPathFromPrevious(startId, endId, previous);
+  }
+
+  // Walk a search's predecessor map back from the end, using the mention chosen for each hop
+  buildPathFromPrevious(startId, endId, previous) {
+    if (!previous.has(endId)) {
+      return null; // No path found
+    }
+
+    const path = [endId];
+    const links = [];
+    for (let id = endId; id !== startId; id = previous.get(id).from) {
+      const { from, mention, weight } = previous.get(id);
+      const connection = this.getConnection(from, id);
+      path.unshift(from);
+      links.unshift({
+        from: this.getChannelName(from),
+        to: this.getChannelName(id),
+        fromArchived: this.isArchived(from),
+        toArchived: this.isArchived(id),
+        messageLink: mention.messageLink,
+        messageDate: mention.messageDate,
+        weight,
+        lastDate: connection.lastDate,
+        authorCount: connection.authors.size
+      });
+    }
+
+    return { path, links };
+  }
+
+  // BFS shortest path that skips the given channels and "from>to" edges
+  // Returns the list of channel IDs, or null if the end can't be reached
+  findPathAvoiding(startId, endId, blockedNodes = new Set(), blockedEdges = new Set()) {
+    if (startId === endId) {
+      return [startId];
+    }
+
+    const parents = new Map([[startId, null]]);
+    const queue = [startId];
+
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      const channelData = this.channels.get(current);
+      if (!channelData) continue;
+
+      for (const connection of channelData.connections) {
+        const next = connection.to;
+        if (parents.has(next) || blockedNodes.has(next) || blockedEdges.has(`${current}>${next}`)) continue;
+
+        parents.set(next, current);
+        if (next === endId) {
+          const path = [];
+          for (let id = endId; id !== null; id = parents.get(id)) {
+            path.unshift(id);
+          }
+          return path;
+        }
+        queue.push(next);
+      }
+    }
+
+    return null;
+  }
+
+  // Yen's algorithm: the k shortest simple paths, shortest first
+  findKShortestPaths(startId, endId, k, avoid = new Set()) {
+    const first = this.findPathAvoiding(startId, endId, avoid);
+    if (!first) {
+      return [];
+    }
+
+    const found = [first];
+    const candidates = [];
+    const seen = new Set([first.join('>')]);
+
+    while (found.length < k) {
+      const previous = found[found.length - 1];
+
+      // Branch off the previous path at every node, without reusing the edges other paths took from there
+      for (let i = 0; i < previous.length - 1; i++) {
+        const spurNode = previous[i];
+        const rootPath = previous.slice(0, i + 1);
+
+        const blockedEdges = new Set();
+        for (const path of found) {
+          if (path.length > i + 1 && rootPath.every((id, n) => path[n] === id)) {
+            blockedEdges.add(`${path[i]}>${path[i + 1]}`);
+          }
+        }
+        const blockedNodes = new Set([...avoid, ...rootPath.slice(0, -1)]);
+
+        const spurPath = this.findPathAvoiding(spurNode, endId, blockedNodes, blockedEdges);
+        if (!spurPath) continue;
+
+        const candidate = [...rootPath.slice(0, -1), ...spurPath];
+        const key = candidate.join('>');
+        if (!seen.has(key)) {
+          seen.add(key);
+          candidates.push(candidate);
+        }
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.length - b.length);
+      found.push(candidates.shift());
+    }
+
+    return found.map(path => ({ path, links: this.buildLinks(path) }));
+  }
+
+  // Every shortest path (up to limit), found from the BFS layers' predecessor lists
+  findAllShortestPaths(startId, endId, avoid = new Set(), limit = 100) {
+    if (startId === endId) {
+      return [{ path: [startId], links: [] }];
+    }
+
+    const distances = new Map([[startId, 0]]);
+    const predecessors = new Map(); // channelId -> [channelId]
+    let frontier = [startId];
+
+    while (frontier.length > 0 && !distances.has(endId)) {
+      const nextFrontier = [];
+      for (const current of frontier) {
+        const channelData = this.channels.get(current);
+        if (!channelData) continue;
+
+        for (const connection of channelData.connections) {
+          const next = connection.to;
+          if (avoid.has(next)) continue;
+
+          if (!distances.has(next)) {
+            distances.set(next, distances.get(current) + 1);
+            predecessors.set(next, []);
+            nextFrontier.push(next);
+          }
+          if (distances.get(next) === distances.get(current) + 1) {
+            predecessors.get(next).push(current);
+          }
+        }
+      }
+      frontier = nextFrontier;
+    }
+
+    if (!distances.has(endId)) {
+      return [];
+    }
+
+    // Walk the predecessor lists back from the end
+    const paths = [];
+    const walk = (id, suffix) => {
+      if (paths.length >= limit) return;
+      if (id === startId) {
+        paths.push([startId, ...suffix]);
+        return;
+      }
+      for (const previous of predecessors.get(id)) {
+        walk(previous, [id, ...suffix]);
+      }
+    };
+    walk(endId, []);
+
+    return paths.map(path => ({ path, links: this.buildLinks(path) }));
+  }
+
   // Find all paths within X hops
   findAllPathsWithinHops(startId, maxHops) {
     const reachable = new Map(); // channelId -> {path, links}
@@ -88,7 +465,7 @@ export class ChannelGraph {
       const path = queue.shift();
       const current = path[path.length - 1];
 
-      if (path.length > maxHops + 1) {
+      if (path.length > maxHops) {
         continue;
       }
 
@@ -116,15 +493,19 @@ export class ChannelGraph {
     for (let i = 0; i < path.length - 1; i++) {
       const from = path[i];
       const to = path[i + 1];
-      const channelData = this.channels.get(from);
-      const connection = channelData?.connections.find(c => c.to === to);
+      const connection = this.getConnection(from, to);
 
       if (connection) {
         links.push({
           from: this.getChannelName(from),
           to: this.getChannelName(to),
+          fromArchived: this.isArchived(from),
+          toArchived: this.isArchived(to),
           messageLink: connection.messageLink,
-          messageDate: connection.messageDate
+          messageDate: connection.messageDate,
+          weight: connection.weight,
+          lastDate: connection.lastDate,
+          authorCount: connection.authors.size
         });
       }
     }
@@ -143,33 +524,83 @@ export class ChannelGraph {
     return total;
   }
 
+  // Number of mentions of each edge type
+  getMentionsByType() {
+    const counts = {};
+    for (const channel of this.channels.values()) {
+      for (const connection of channel.connections) {
+        for (const mention of connection.mentions) {
+          counts[mention.edgeType] = (counts[mention.edgeType] || 0) + 1;
+        }
+      }
+    }
+    return counts;
+  }
+
+  getTotalMentions() {
+    let total = 0;
+    for (const channel of this.channels.values()) {
+      for (const connection of channel.connections) {
+        total += connection.weight;
+      }
+    }
+    return total;
+  }
+
+  // Edges ordered by number of mentions
+  getStrongestConnections(limit = 10) {
+    const edges = [];
+    for (const [from, data] of this.channels.entries()) {
+      for (const connection of data.connections) {
+        edges.push({
+          from,
+          to: connection.to,
+          fromName: data.name,
+          toName: this.getChannelName(connection.to),
+          weight: connection.weight,
+          firstDate: connection.firstDate,
+          lastDate: connection.lastDate,
+          authorCount: connection.authors.size
+        });
+      }
+    }
+    edges.sort((a, b) => b.weight - a.weight);
+    return edges.slice(0, limit);
+  }
+
   getDetailedStats() {
     const stats = {
       totalChannels: this.channels.size,
       totalConnections: this.getTotalConnections(),
-      channelsByConnections: []
+      totalMentions: this.getTotalMentions(),
+      mentionsByType: this.getMentionsByType(),
+      channelsByConnections: [],
+      strongestConnections: this.getStrongestConnections()
     };
 
     // Calculate connections per channel (outgoing)
     // Skip channels where name equals ID (private/archived)
+    const byId = new Map();
     for (const [id, data] of this.channels.entries()) {
       // Skip if name is the same as ID (private/archived channel)
       if (data.name === id) {
         continue;
       }
 
-      stats.channelsByConnections.push({
+      const entry = {
         id,
         name: data.name,
         outgoing: data.connections.length,
         incoming: 0
-      });
+      };
+      stats.channelsByConnections.push(entry);
+      byId.set(id, entry);
     }
 
     // Calculate incoming connections
     for (const channel of this.channels.values()) {
       for (const conn of channel.connections) {
-        const target = stats.channelsByConnections.find(c => c.id === conn.to);
+        const target = byId.get(conn.to);
         // Only count if target is not private/archived
         if (target) {
           target.incoming++;
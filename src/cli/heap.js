@@ -0,0 +1,51 @@
+/**
+ * Binary min-heap used as a priority queue by the weighted path searches
+ * Priorities can be numbers or ISO date strings (anything comparable with <)
+ */
+export class MinHeap {
+  constructor() {
+    this.items = []; // [{priority, value}]
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push({ priority, value });
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!(items[i].priority < items[parent].priority)) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    if (items.length === 0) return undefined;
+
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
@@ -1,128 +1,624 @@
 #!/usr/bin/env node
 import readline from 'readline';
-import { loadData } from './loader.js';
-import { displayPath, displayReachable, displayStats } from './display.js';
+import { loadData, loadPeopleData, repairDataFile, isDatabaseFile } from './loader.js';
+import {
+  displayPath,
+  displayPaths,
+  displayReachable,
+  displayStats,
+  displayRanking,
+  displayCentralitySummary,
+  displaySeparation,
+  displayCommunities,
+  displayCommunity,
+  displayComponents,
+  displayNoPathReasons,
+  displayTimeline,
+  displayDiff,
+  displayPeople,
+  displayBridges,
+  displayConnectors,
+  displaySharedPosters
+} from './display.js';
+import { parseArgs, parseDate, parseEdgeTypes } from './options.js';
+import { METRICS, rankChannels, computeSeparation } from './analysis.js';
+import { detectCommunities, getCommunityReport } from './communities.js';
+import { getComponents, explainNoPath } from './components.js';
+import { EXPORT_FORMATS, EXPORT_VALUE_FLAGS, parseExportOptions, exportGraph, loadChannelAttributes } from './export.js';
+import { GRANULARITIES, DEFAULT_TIMELINE_SAMPLE, computeTimeline, diffSnapshots } from './timeline.js';
+import { EDGE_TYPES } from './graph.js';
+import { resolveUser, rankLinkAuthors, getUserBridges, findConnectors, projectSharedPosters, getSharedPosterNeighbours, MAX_POSTER_CHANNELS } from './people.js';
+
+/**
+ * Print available commands
+ */
+function printCommands() {
+  console.log('\nCommands:');
+  console.log('  path <from> <to> [options]  - Find path between two channels');
+  console.log('    --strong                  - Prefer links with many mentions');
+  console.log('    --since <date>            - Only use links mentioned on or after date');
+  console.log('    --until <date>            - Only use links mentioned on or before date');
+  console.log('    --chrono                  - Each hop must be later than the previous one');
+  console.log('  paths <from> <to> [k]       - List the k shortest routes (default 3)');
+  console.log('    --all                     - List every shortest route instead');
+  console.log('    --avoid <ch1,ch2,...>     - Never route through these channels');
+  console.log('  hops <from> <max>           - Show all channels within X hops');
+  console.log('  communities [n]             - List the n largest channel communities (default 10)');
+  console.log('  community <channel>         - List every channel in a channel\'s community');
+  console.log('  components [n]              - Connected components, giant component size and up to n islands');
+  console.log('  stats                       - Show graph statistics');
+  console.log('  rank <metric> [n]           - Top channels by pagerank, betweenness, closeness, in or out');
+  console.log('    --sample <n>              - Estimate betweenness/closeness from n source channels');
+  console.log('  separation                  - Degrees of separation: distance histogram, average and diameter');
+  console.log('    --sample <n>              - Approximate from n source channels (faster on large graphs)');
+  console.log('  export <format> <file>      - Write the graph as graphml, gexf, dot or cytoscape');
+  console.log('    --min-degree <n>          - Only channels linked with at least n others');
+  console.log('    --since/--until <date>    - Only links mentioned inside the date range');
+  console.log('    --around <ch> --hops <n>  - Only channels within n links of a channel (default 1)');
+  console.log('    --types <list>            - Only links of these types, e.g. mention,share');
+  console.log('  timeline [year|quarter|month] - New channels, new links, giant component and separation per period');
+  console.log('    --since/--until <date>    - Only periods inside the date range');
+  console.log(`    --sample <n>              - Separation from n source channels (default ${DEFAULT_TIMELINE_SAMPLE})`);
+  console.log('  diff <date1> <date2>        - Links and hubs that appeared or disappeared between two dates');
+  console.log('    --window <days>           - Compare only the links mentioned in the days before each date');
+  console.log('    --hubs <n>                - Size of the hub list compared (default 10)');
+  console.log('  asof <date|now>             - Run every command on the graph as it was on a date');
+  console.log(`  types <list|all>            - Only use links of these types: ${EDGE_TYPES.join(', ')}`);
+  console.log('  people [n]                  - Users who posted the most cross-channel links (default 10)');
+  console.log('  bridges <user> [n]          - Links a user posted (by ID, username or display name)');
+  console.log('  who-connects <a> <b>        - Users who linked two channels, and who posts in both');
+  console.log('  posters [channel] [n]       - Channels tied by shared posters, overall or for one channel');
+  console.log('    --min-shared <n>          - Only pairs sharing at least n posters');
+  console.log(`    --max-channels <n>        - Leave out users posting in more than n channels (default ${MAX_POSTER_CHANNELS})`);
+  console.log('  repair                      - Rewrite the data file without invalid or duplicate lines');
+  console.log('  help                        - Show this help');
+  console.log('  exit                        - Exit the CLI');
+}
+
+/**
+ * Describe the path search options for display
+ */
+function describePathOptions({ strong, chrono, since, until }) {
+  const parts = [];
+  if (chrono) parts.push('chronological');
+  if (strong) parts.push('strongest links');
+  if (since) parts.push(`since ${since}`);
+  if (until) parts.push(`until ${until}`);
+  return parts.join(', ');
+}
+
+/**
+ * Resolve a comma-separated list of channel names or IDs
+ */
+function resolveChannelList(graph, list) {
+  const ids = new Set();
+  for (const name of list.split(',').filter(Boolean)) {
+    const id = graph.getChannelId(name.replace(/^#/, ''));
+    if (!id) {
+      throw new Error(`Channel not found: ${name}`);
+    }
+    ids.add(id);
+  }
+  return ids;
+}
+
+function promptFor({ asOf, types }) {
+  const scope = `${asOf ? `@${asOf.slice(0, 10)}` : ''}${types ? `[${Array.from(types).join(',')}]` : ''}`;
+  return `sixdegrees${scope}> `;
+}
+
+/**
+ * Narrow the session's graph to the mentions up to session.asOf and of session.types
+ * Every channel stays, so one without links by then has no path instead of being unknown
+ */
+function applySessionFilters(session) {
+  const { fullGraph, asOf, types } = session;
+  session.graph = asOf || types
+    ? fullGraph.filterMentions(mention => (!asOf || mention.messageDate <= asOf) && (!types || types.has(mention.edgeType)), { keepChannels: true })
+    : fullGraph;
+}
+
+function describeSession(session) {
+  const scope = [];
+  if (session.asOf) scope.push(`as of ${session.asOf.slice(0, 10)}`);
+  if (session.types) scope.push(`with ${Array.from(session.types).join(', ')} links only`);
+  const label = scope.length > 0 ? `Graph ${scope.join(', ')}` : 'Full graph';
+  return `${label}: ${session.graph.getTotalChannels()} channels, ${session.graph.getTotalConnections()} links`;
+}
 
 /**
  * Interactive CLI
+ * Commands run on session.graph: the full graph, or the part of it left by `asof` and `types`
+ * session.people holds user names and channel author sets (see loadPeopleData)
+ * session.database is set when the data file is read as SQLite
  */
-async function startCLI(graph) {
+async function startCLI(graph, dataFile, { asOf = null, types = null, people, database = false } = {}) {
+  const session = { fullGraph: graph, graph, asOf, types, people, database };
+  applySessionFilters(session);
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
-    prompt: 'sixdegrees> '
+    prompt: promptFor(session)
   });
 
   console.log('='.repeat(60));
   console.log('Six Degrees of Hack Club - Channel Hopper');
   console.log('='.repeat(60));
-  console.log('\nCommands:');
-  console.log('  path <from> <to>          - Find path between two channels');
-  console.log('  hops <from> <max>         - Show all channels within X hops');
-  console.log('  stats                     - Show graph statistics');
-  console.log('  help                      - Show this help');
-  console.log('  exit                      - Exit the CLI');
+  printCommands();
   console.log('\nExample: path lounge announcements');
-  console.log('Example: hops lounge 3\n');
+  console.log('Example: path lounge announcements --chrono --since 2024-01-01');
+  console.log('Example: hops lounge 3');
+  console.log('Example: timeline year\n');
+  if (asOf || types) {
+    console.log(`[INFO] ${describeSession(session)}\n`);
+  }
 
   rl.prompt();
 
+  // Commands run one at a time, even when input arrives while an async command is running
+  let commandQueue = Promise.resolve();
+
   rl.on('line', (input) => {
-    const parts = input.trim().split(/\s+/);
-    const command = parts[0]?.toLowerCase();
+    commandQueue = commandQueue.then(async () => {
+      try {
+        await handleCommand(input, session.graph, rl, dataFile, session);
+      } catch (error) {
+        console.log(`[ERROR] ${error.message}`);
+      }
 
-    switch (command) {
-      case 'path': {
-        if (parts.length < 3) {
-          console.log('[ERROR] Usage: path <from> <to>');
-          break;
-        }
+      rl.prompt();
+    });
+  });
 
-        const fromName = parts[1];
-        const toName = parts[2];
+  rl.on('close', () => {
+    commandQueue.then(() => {
+      console.log('\nGoodbye!\n');
+      process.exit(0);
+    });
+  });
+}
 
-        const fromId = graph.getChannelId(fromName);
-        const toId = graph.getChannelId(toName);
+/**
+ * Run a single CLI command
+ */
+async function handleCommand(input, graph, rl, dataFile, session) {
+  const parts = input.trim().split(/\s+/);
+  const command = parts[0]?.toLowerCase();
 
-        if (!fromId) {
-          console.log(`[ERROR] Channel not found: ${fromName}`);
-          break;
-        }
-        if (!toId) {
-          console.log(`[ERROR] Channel not found: ${toName}`);
-          break;
-        }
+  switch (command) {
+    case 'path': {
+      const { args, flags } = parseArgs(parts.slice(1), ['since', 'until']);
+      if (args.length < 2) {
+        console.log('[ERROR] Usage: path <from> <to> [--strong] [--since <date>] [--until <date>] [--chrono]');
+        break;
+      }
+
+      const fromName = args[0];
+      const toName = args[1];
+
+      const fromId = graph.getChannelId(fromName);
+      const toId = graph.getChannelId(toName);
 
-        const result = graph.findPath(fromId, toId);
-        displayPath(result, graph.getChannelName(fromId), graph.getChannelName(toId));
+      if (!fromId) {
+        console.log(`[ERROR] Channel not found: ${fromName}`);
+        break;
+      }
+      if (!toId) {
+        console.log(`[ERROR] Channel not found: ${toName}`);
         break;
       }
 
-      case 'hops': {
-        if (parts.length < 3) {
-          console.log('[ERROR] Usage: hops <from> <max>');
-          break;
-        }
+      const since = parseDate(flags.since);
+      const until = parseDate(flags.until, true);
 
-        const fromName = parts[1];
-        const maxHops = parseInt(parts[2]);
+      let result;
+      if (flags.chrono) {
+        result = graph.findChronologicalPath(fromId, toId, { since, until });
+      } else if (flags.strong || since || until) {
+        result = graph.findWeightedPath(fromId, toId, { strong: !!flags.strong, since, until });
+      } else {
+        result = graph.findPath(fromId, toId);
+      }
 
-        if (isNaN(maxHops) || maxHops < 1) {
-          console.log('[ERROR] Max hops must be a positive number');
-          break;
-        }
+      displayPath(
+        result,
+        graph.getChannelName(fromId),
+        graph.getChannelName(toId),
+        describePathOptions({ strong: flags.strong, chrono: flags.chrono, since: flags.since, until: flags.until })
+      );
+      if (!result) {
+        displayNoPathReasons(explainNoPath(graph, fromId, toId));
+      }
+      break;
+    }
 
-        const fromId = graph.getChannelId(fromName);
-        if (!fromId) {
-          console.log(`[ERROR] Channel not found: ${fromName}`);
-          break;
+    case 'paths': {
+      const { args, flags } = parseArgs(parts.slice(1), ['avoid']);
+      if (args.length < 2) {
+        console.log('[ERROR] Usage: paths <from> <to> [k] [--all] [--avoid <ch1,ch2,...>]');
+        break;
+      }
+
+      const fromId = graph.getChannelId(args[0]);
+      const toId = graph.getChannelId(args[1]);
+      if (!fromId) {
+        console.log(`[ERROR] Channel not found: ${args[0]}`);
+        break;
+      }
+      if (!toId) {
+        console.log(`[ERROR] Channel not found: ${args[1]}`);
+        break;
+      }
+
+      const k = args[2] ? parseInt(args[2]) : 3;
+      if (isNaN(k) || k < 1) {
+        console.log('[ERROR] k must be a positive number');
+        break;
+      }
+
+      const avoid = flags.avoid ? resolveChannelList(graph, flags.avoid) : new Set();
+      avoid.delete(fromId);
+      avoid.delete(toId);
+
+      const descriptionParts = [];
+      if (avoid.size > 0) {
+        descriptionParts.push(`avoiding ${Array.from(avoid).map(id => `#${graph.getChannelName(id)}`).join(', ')}`);
+      }
+
+      let results;
+      if (flags.all) {
+        const limit = 50;
+        results = graph.findAllShortestPaths(fromId, toId, avoid, limit + 1);
+        descriptionParts.unshift('all shortest');
+        if (results.length > limit) {
+          results = results.slice(0, limit);
+          descriptionParts.push(`first ${limit} shown`);
         }
+      } else {
+        results = graph.findKShortestPaths(fromId, toId, k, avoid);
+        descriptionParts.unshift(`${k} shortest`);
+      }
+
+      displayPaths(results, graph.getChannelName(fromId), graph.getChannelName(toId), descriptionParts.join(', '));
+      if (results.length === 0) {
+        displayNoPathReasons(explainNoPath(graph, fromId, toId));
+      }
+      break;
+    }
 
-        const reachable = graph.findAllPathsWithinHops(fromId, maxHops);
-        displayReachable(reachable, graph.getChannelName(fromId), maxHops, graph);
+    case 'separation': {
+      const { flags } = parseArgs(parts.slice(1), ['sample']);
+      const sampleSize = flags.sample ? parseInt(flags.sample) : null;
+      if (sampleSize !== null && (isNaN(sampleSize) || sampleSize < 1)) {
+        console.log('[ERROR] --sample must be a positive number');
         break;
       }
 
-      case 'stats': {
-        const stats = graph.getDetailedStats();
-        displayStats(stats);
+      displaySeparation(computeSeparation(graph, { sampleSize }), graph);
+      break;
+    }
+
+    case 'communities': {
+      const limit = parts[1] ? parseInt(parts[1]) : 10;
+      if (isNaN(limit) || limit < 1) {
+        console.log('[ERROR] n must be a positive number');
         break;
       }
 
-      case 'help': {
-        console.log('\nCommands:');
-        console.log('  path <from> <to>          - Find path between two channels');
-        console.log('  hops <from> <max>         - Show all channels within X hops');
-        console.log('  stats                     - Show graph statistics');
-        console.log('  help                      - Show this help');
-        console.log('  exit                      - Exit the CLI\n');
+      displayCommunities(getCommunityReport(graph), graph, limit);
+      break;
+    }
+
+    case 'community': {
+      if (parts.length < 2) {
+        console.log('[ERROR] Usage: community <channel>');
         break;
       }
 
-      case 'exit':
-      case 'quit':
-        console.log('\nGoodbye!\n');
-        rl.close();
-        process.exit(0);
-        return;
+      const channelId = graph.getChannelId(parts[1]);
+      if (!channelId) {
+        console.log(`[ERROR] Channel not found: ${parts[1]}`);
+        break;
+      }
 
-      case '':
+      const communityId = detectCommunities(graph).get(channelId);
+      const report = getCommunityReport(graph);
+      displayCommunity(report.communities.find(c => c.id === communityId), graph);
+      break;
+    }
+
+    case 'components': {
+      const limit = parts[1] ? parseInt(parts[1]) : 10;
+      if (isNaN(limit) || limit < 1) {
+        console.log('[ERROR] n must be a positive number');
         break;
+      }
 
-      default:
-        console.log(`[ERROR] Unknown command: ${command}`);
-        console.log('Type "help" for available commands');
+      displayComponents(getComponents(graph), graph, limit);
+      break;
     }
 
-    rl.prompt();
-  });
+    case 'hops': {
+      if (parts.length < 3) {
+        console.log('[ERROR] Usage: hops <from> <max>');
+        break;
+      }
 
-  rl.on('close', () => {
-    console.log('\nGoodbye!\n');
-    process.exit(0);
-  });
+      const fromName = parts[1];
+      const maxHops = parseInt(parts[2]);
+
+      if (isNaN(maxHops) || maxHops < 1) {
+        console.log('[ERROR] Max hops must be a positive number');
+        break;
+      }
+
+      const fromId = graph.getChannelId(fromName);
+      if (!fromId) {
+        console.log(`[ERROR] Channel not found: ${fromName}`);
+        break;
+      }
+
+      const reachable = graph.findAllPathsWithinHops(fromId, maxHops);
+      displayReachable(reachable, graph.getChannelName(fromId), maxHops, graph);
+      break;
+    }
+
+    case 'stats': {
+      const stats = graph.getDetailedStats();
+      displayStats(stats);
+      console.log('[INFO] Computing centrality (cached after the first run)...\n');
+      displayCentralitySummary(Object.entries(METRICS).map(([metric, label]) => ({
+        metric,
+        label,
+        ranking: rankChannels(graph, metric, 5)
+      })));
+      break;
+    }
+
+    case 'rank': {
+      const { args, flags } = parseArgs(parts.slice(1), ['sample']);
+      const metric = args[0]?.toLowerCase();
+      if (!metric || !METRICS[metric]) {
+        console.log(`[ERROR] Usage: rank <${Object.keys(METRICS).join('|')}> [n] [--sample <n>]`);
+        break;
+      }
+
+      const n = args[1] ? parseInt(args[1]) : 10;
+      const sampleSize = flags.sample ? parseInt(flags.sample) : null;
+      if (isNaN(n) || n < 1 || (sampleSize !== null && (isNaN(sampleSize) || sampleSize < 1))) {
+        console.log('[ERROR] n and --sample must be positive numbers');
+        break;
+      }
+
+      const label = sampleSize ? `${METRICS[metric]} (sampled from ${sampleSize} channels)` : METRICS[metric];
+      displayRanking(metric, label, rankChannels(graph, metric, n, { sampleSize }));
+      break;
+    }
+
+    case 'export': {
+      const { args, flags } = parseArgs(parts.slice(1), EXPORT_VALUE_FLAGS);
+      if (args.length < 2) {
+        console.log(`[ERROR] Usage: export <${Object.keys(EXPORT_FORMATS).join('|')}> <file> [--min-degree <n>] [--since <date>] [--until <date>] [--around <channel> --hops <n>] [--types <list>]`);
+        break;
+      }
+
+      const [format, filename] = args;
+      const attributes = loadChannelAttributes(dataFile, { database: session.database });
+      const counts = exportGraph(graph, format.toLowerCase(), filename, parseExportOptions(graph, flags), attributes);
+      console.log(`\n[SUCCESS] Wrote ${counts.nodes} channel(s) and ${counts.edges} link(s) to ${filename} (${EXPORT_FORMATS[format.toLowerCase()]})\n`);
+      break;
+    }
+
+    case 'timeline': {
+      const { args, flags } = parseArgs(parts.slice(1), ['since', 'until', 'sample']);
+      const granularity = (args[0] || 'quarter').toLowerCase();
+      if (!GRANULARITIES.includes(granularity)) {
+        console.log(`[ERROR] Usage: timeline [${GRANULARITIES.join('|')}] [--since <date>] [--until <date>] [--sample <n>]`);
+        break;
+      }
+
+      const sampleSize = flags.sample ? parseInt(flags.sample) : DEFAULT_TIMELINE_SAMPLE;
+      if (isNaN(sampleSize) || sampleSize < 1) {
+        console.log('[ERROR] --sample must be a positive number');
+        break;
+      }
+
+      console.log('[INFO] Building a snapshot per period...');
+      const rows = computeTimeline(graph, granularity, {
+        since: parseDate(flags.since),
+        until: parseDate(flags.until, true),
+        sampleSize
+      });
+      displayTimeline(rows, granularity);
+      break;
+    }
+
+    case 'diff': {
+      const { args, flags } = parseArgs(parts.slice(1), ['window', 'hubs']);
+      if (args.length < 2) {
+        console.log('[ERROR] Usage: diff <date1> <date2> [--window <days>] [--hubs <n>]');
+        break;
+      }
+
+      const windowDays = flags.window ? parseInt(flags.window) : null;
+      const hubs = flags.hubs ? parseInt(flags.hubs) : 10;
+      if ((windowDays !== null && (isNaN(windowDays) || windowDays < 1)) || isNaN(hubs) || hubs < 1) {
+        console.log('[ERROR] --window and --hubs must be positive numbers');
+        break;
+      }
+
+      const diff = diffSnapshots(graph, parseDate(args[0], true), parseDate(args[1], true), { windowDays, hubs });
+      displayDiff(diff, graph);
+      break;
+    }
+
+    case 'asof': {
+      if (parts.length < 2) {
+        console.log('[ERROR] Usage: asof <date|now>');
+        break;
+      }
+
+      session.asOf = parts[1].toLowerCase() === 'now' ? null : parseDate(parts[1], true);
+      applySessionFilters(session);
+      console.log(`\n[INFO] ${describeSession(session)}\n`);
+      rl.setPrompt(promptFor(session));
+      break;
+    }
+
+    case 'types': {
+      if (parts.length < 2) {
+        console.log(`[ERROR] Usage: types <${EDGE_TYPES.join(',')}|all>`);
+        break;
+      }
+
+      session.types = parts[1].toLowerCase() === 'all' ? null : parseEdgeTypes(parts[1]);
+      applySessionFilters(session);
+      console.log(`\n[INFO] ${describeSession(session)}\n`);
+      rl.setPrompt(promptFor(session));
+      break;
+    }
+
+    case 'people': {
+      const limit = parts[1] ? parseInt(parts[1]) : 10;
+      if (isNaN(limit) || limit < 1) {
+        console.log('[ERROR] n must be a positive number');
+        break;
+      }
+
+      displayPeople(rankLinkAuthors(graph), session.people.users, limit);
+      break;
+    }
+
+    case 'bridges': {
+      if (parts.length < 2) {
+        console.log('[ERROR] Usage: bridges <user> [n]');
+        break;
+      }
+
+      const userId = resolveUser(session.people.users, parts[1]);
+      if (!userId) {
+        console.log(`[ERROR] User not found: ${parts[1]}`);
+        break;
+      }
+      const limit = parts[2] ? parseInt(parts[2]) : 20;
+      if (isNaN(limit) || limit < 1) {
+        console.log('[ERROR] n must be a positive number');
+        break;
+      }
+
+      displayBridges(getUserBridges(graph, userId), userId, session.people.users, graph, limit);
+      break;
+    }
+
+    case 'who-connects': {
+      if (parts.length < 3) {
+        console.log('[ERROR] Usage: who-connects <channel> <channel>');
+        break;
+      }
+
+      const fromId = graph.getChannelId(parts[1]);
+      const toId = graph.getChannelId(parts[2]);
+      if (!fromId) {
+        console.log(`[ERROR] Channel not found: ${parts[1]}`);
+        break;
+      }
+      if (!toId) {
+        console.log(`[ERROR] Channel not found: ${parts[2]}`);
+        break;
+      }
+
+      const connectors = findConnectors(graph, session.people.channelAuthors, fromId, toId);
+      displayConnectors(connectors, graph.getChannelName(fromId), graph.getChannelName(toId), session.people.users);
+      break;
+    }
+
+    case 'posters': {
+      const { args, flags } = parseArgs(parts.slice(1), ['min-shared', 'max-channels']);
+      const minShared = flags['min-shared'] ? parseInt(flags['min-shared']) : 1;
+      if (isNaN(minShared) || minShared < 1) {
+        console.log('[ERROR] --min-shared must be a positive number');
+        break;
+      }
+      const maxChannels = flags['max-channels'] ? parseInt(flags['max-channels']) : MAX_POSTER_CHANNELS;
+      if (isNaN(maxChannels) || maxChannels < 2) {
+        console.log('[ERROR] --max-channels must be a number of at least 2');
+        break;
+      }
+      if (session.people.channelAuthors.size === 0) {
+        console.log('[ERROR] No channel authors recorded yet - run a scan to collect channel-authors.jsonl (or the channel_authors table)');
+        break;
+      }
+
+      // A leading number is the limit for the overall list; anything else names a channel
+      const channelArg = args[0] && !/^\d+$/.test(args[0]) ? args[0] : null;
+      const limitArg = channelArg ? args[1] : args[0];
+      const limit = limitArg ? parseInt(limitArg) : 10;
+      if (isNaN(limit) || limit < 1) {
+        console.log('[ERROR] n must be a positive number');
+        break;
+      }
+
+      if (channelArg) {
+        const channelId = session.fullGraph.getChannelId(channelArg);
+        if (!channelId) {
+          console.log(`[ERROR] Channel not found: ${channelArg}`);
+          break;
+        }
+        const neighbours = getSharedPosterNeighbours(session.people.channelAuthors, channelId, { minShared });
+        displaySharedPosters(neighbours, session.fullGraph, { channelId, limit });
+      } else {
+        const { pairs, skippedUsers } = projectSharedPosters(session.people.channelAuthors, { minShared, maxChannels });
+        displaySharedPosters(pairs, session.fullGraph, { limit, skippedUsers, maxChannels });
+      }
+      break;
+    }
+
+    case 'repair': {
+      console.log(`[INFO] Rewriting ${dataFile} without invalid or duplicate lines...`);
+      const report = await repairDataFile(dataFile, { database: session.database });
+      console.log(`\n[SUCCESS] Kept ${report.records} record(s) from ${report.lines} line(s)`);
+      console.log(`  Invalid lines removed: ${report.invalid.length}`);
+      for (const { line, reason } of report.invalid.slice(0, 10)) {
+        console.log(`    line ${line}: ${reason}`);
+      }
+      console.log(`  Records recovered from joined lines: ${report.recovered}`);
+      console.log(`  Duplicates removed: ${report.duplicates}`);
+      console.log(`  Original saved as ${report.backup}\n`);
+      break;
+    }
+
+    case 'help': {
+      printCommands();
+      console.log();
+      break;
+    }
+
+    case 'exit':
+    case 'quit':
+      console.log('\nGoodbye!\n');
+      rl.close();
+      process.exit(0);
+      return;
+
+    case '':
+      break;
+
+    default:
+      console.log(`[ERROR] Unknown command: ${command}`);
+      console.log('Type "help" for available commands');
+  }
 }
 
-// Main
-const graph = await loadData();
-await startCLI(graph);
+// Main: sixdegrees [file] [--db <file>] [--as-of <date>] [--types <list>]
+const { args: cliArgs, flags: cliFlags } = parseArgs(process.argv.slice(2), ['db', 'as-of', 'types']);
+const dataFile = cliFlags.db || cliArgs[0] || 'channel-links.jsonl';
+// --db reads the file as SQLite whatever it's called
+const database = Boolean(cliFlags.db) || isDatabaseFile(dataFile);
+const asOf = parseDate(cliFlags['as-of'], true);
+const types = parseEdgeTypes(cliFlags.types);
+const graph = await loadData(dataFile, { database });
+const people = await loadPeopleData(dataFile, { database });
+if (people.users.size > 0 || people.channelAuthors.size > 0) {
+  console.log(`[INFO] Loaded ${people.users.size} user name(s) and the posters of ${people.channelAuthors.size} channel(s)\n`);
+}
+await startCLI(graph, dataFile, { asOf, types, people, database });
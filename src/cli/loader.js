@@ -1,30 +1,368 @@
 import fs from 'fs/promises';
-import { ChannelGraph } from './graph.js';
+import { createReadStream, createWriteStream, openSync, readSync, closeSync } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { once } from 'events';
+import Database from 'better-sqlite3';
+import { ChannelGraph, EDGE_TYPES } from './graph.js';
 
 /**
- * Load JSONL data into graph structure
+ * Whether a data file is a SQLite database (built by utils/convert-to-sqlite.js) rather than JSONL
  */
-export async function loadData(filename = 'channel-links.jsonl') {
-  console.log(`[INFO] Loading data from ${filename}...`);
+export function isDatabaseFile(filename) {
+  return /\.(db|sqlite3?)$/i.test(filename);
+}
+
+// Every SQLite database file starts with these 16 bytes
+const SQLITE_HEADER = 'SQLite format 3\0';
+
+/**
+ * Open a SQLite data file read-only, with a clear error for anything else
+ * (e.g. a JSONL file passed to --db, which skips the extension check)
+ */
+function openDatabase(filename) {
+  const header = Buffer.alloc(SQLITE_HEADER.length);
+  const fd = openSync(filename, 'r');
+  try {
+    readSync(fd, header, 0, header.length, 0);
+  } finally {
+    closeSync(fd);
+  }
+  if (header.toString('latin1') !== SQLITE_HEADER) {
+    throw new Error(`${filename} is not a SQLite database (build one with utils/convert-to-sqlite.js)`);
+  }
+  return new Database(filename, { readonly: true, fileMustExist: true });
+}
+
+/**
+ * Read the channels and connections tables into a new graph
+ * Channels come first so their names and details win over the names stored on old connections,
+ * and channels without any links are still part of the graph
+ */
+function readGraphFromDatabase(filename) {
   const graph = new ChannelGraph();
+  const db = openDatabase(filename);
 
   try {
-    const data = await fs.readFile(filename, 'utf-8');
-    const lines = data.trim().split('\n');
+    // Databases from before schema version 5 don't track renames or archive dates
+    const hasLifecycle = db.prepare('PRAGMA table_info(channels)').all().some(info => info.name === 'previous_names');
+    const channels = db.prepare(`
+      SELECT id, name, is_private, is_archived, message_count, created,
+             ${hasLifecycle ? 'previous_names, archived_at' : 'NULL AS previous_names, NULL AS archived_at'}
+      FROM channels
+    `);
+    for (const channel of channels.iterate()) {
+      graph.addChannel(channel.id, channel.name, {
+        isPrivate: !!channel.is_private,
+        archived: !!channel.is_archived,
+        messageCount: channel.message_count,
+        created: channel.created,
+        archivedAt: channel.archived_at,
+        previousNames: JSON.parse(channel.previous_names || '[]')
+      });
+    }
 
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      const conn = JSON.parse(line);
+    // Databases from before edge types were recorded only hold mentions
+    const hasEdgeTypes = db.prepare('PRAGMA table_info(connections)').all().some(info => info.name === 'edge_type');
+    const connections = db.prepare(`
+      SELECT from_channel_id, to_channel_id, from_channel_name, to_channel_name,
+             message_link, message_date, author_user_id, ${hasEdgeTypes ? 'edge_type' : "'mention' AS edge_type"}
+      FROM connections
+    `);
+    for (const conn of connections.iterate()) {
       graph.addConnection(
-        conn.from,
-        conn.to,
-        conn.fromName,
-        conn.toName,
-        conn.messageLink,
-        conn.messageDate
+        conn.from_channel_id,
+        conn.to_channel_id,
+        conn.from_channel_name,
+        conn.to_channel_name,
+        conn.message_link,
+        conn.message_date,
+        conn.author_user_id,
+        conn.edge_type
       );
     }
+  } finally {
+    db.close();
+  }
+
+  return graph;
+}
+
+// Fields every connection record needs to be added to the graph
+const REQUIRED_FIELDS = ['from', 'to', 'fromName', 'toName', 'messageLink', 'messageDate'];
+
+/**
+ * Why a parsed record can't be used as a connection (null if it can)
+ */
+export function validateConnection(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return 'not a JSON object';
+  }
+  for (const field of REQUIRED_FIELDS) {
+    if (typeof record[field] !== 'string' || !record[field]) {
+      return `missing ${field}`;
+    }
+  }
+  if (isNaN(new Date(record.messageDate).getTime())) {
+    return `invalid messageDate: ${record.messageDate}`;
+  }
+  if (record.edgeType !== undefined && !EDGE_TYPES.includes(record.edgeType)) {
+    return `unknown edgeType: ${record.edgeType}`;
+  }
+  return null;
+}
+
+// Repeated records (e.g. rewritten after a resumed scan) share the same message and target
+function connectionKey(record) {
+  return `${record.from}|${record.to}|${record.messageTs || record.messageLink}`;
+}
 
+/**
+ * Parse one JSONL line into records (not yet validated)
+ * A line holding several records glued together (a truncated write followed by the next
+ * append) is split and each part parsed on its own.
+ * Returns { records, problem (null or a description), recovered (records split out of a joined line) }
+ */
+export function parseConnectionLine(line) {
+  try {
+    return { records: [JSON.parse(line)], problem: null, recovered: 0 };
+  } catch (error) {
+    // Records start with {"from": which can't appear unescaped inside a JSON string
+    const parts = line.split(/(?=\{"from":)/);
+    const records = [];
+    let truncated = 0;
+    for (const part of parts.length > 1 ? parts : []) {
+      try {
+        records.push(JSON.parse(part));
+      } catch (partError) {
+        truncated++;
+      }
+    }
+
+    if (records.length === 0) {
+      return { records, problem: `malformed JSON (${error.message})`, recovered: 0 };
+    }
+    return {
+      records,
+      problem: truncated > 0 ? `${truncated} truncated record(s) next to ${records.length} intact one(s)` : null,
+      recovered: records.length
+    };
+  }
+}
+
+/**
+ * Stream the valid, de-duplicated connection records of a JSONL file
+ * onRecord may return a promise to pause reading (e.g. while a write stream drains)
+ * Problems are collected in the returned report:
+ * { lines, records, recovered, duplicates, invalid: [{line, reason}] }
+ */
+export async function readConnectionRecords(filename, onRecord) {
+  const report = { lines: 0, records: 0, recovered: 0, duplicates: 0, invalid: [] };
+  const seen = new Set();
+
+  const rl = readline.createInterface({
+    input: createReadStream(filename),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of rl) {
+    report.lines++;
+    if (!line.trim()) continue;
+
+    const { records, problem, recovered } = parseConnectionLine(line);
+    if (problem) {
+      report.invalid.push({ line: report.lines, reason: problem });
+    }
+    report.recovered += recovered;
+
+    for (const record of records) {
+      const reason = validateConnection(record);
+      if (reason) {
+        report.invalid.push({ line: report.lines, reason });
+        continue;
+      }
+
+      const key = connectionKey(record);
+      if (seen.has(key)) {
+        report.duplicates++;
+        continue;
+      }
+      seen.add(key);
+
+      report.records++;
+      const pending = onRecord(record);
+      if (pending) await pending;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Give the channels of a graph read from JSONL their current names and details from the bot's
+ * channels-cache.json, when there is one next to the data file. Only channels that have links are
+ * touched. A sanitized release in its own directory is never matched up with the bot's cache.
+ */
+async function applyChannelCache(graph, filename) {
+  let cache;
+  try {
+    cache = JSON.parse(await fs.readFile(path.join(path.dirname(filename), 'channels-cache.json'), 'utf-8'));
+  } catch (error) {
+    return;
+  }
+
+  for (const channel of cache.channels || []) {
+    if (!graph.channels.has(channel.id)) continue;
+    graph.addChannel(channel.id, channel.name, {
+      isPrivate: !!channel.is_private,
+      archived: !!channel.is_archived,
+      created: channel.created || null,
+      archivedAt: channel.archived_at || null,
+      previousNames: channel.previous_names || []
+    });
+  }
+}
+
+/**
+ * Read JSONL data (or a .db SQLite database) into a new graph
+ * Bad JSONL lines are skipped; pass a report object to receive what was skipped
+ * database: read the file as SQLite whatever its extension (--db)
+ */
+export async function readGraph(filename, report = {}, { database = isDatabaseFile(filename) } = {}) {
+  if (database) {
+    return readGraphFromDatabase(filename);
+  }
+
+  const graph = new ChannelGraph();
+  const result = await readConnectionRecords(filename, conn => {
+    graph.addConnection(
+      conn.from,
+      conn.to,
+      conn.fromName,
+      conn.toName,
+      conn.messageLink,
+      conn.messageDate,
+      conn.authorUserId,
+      conn.edgeType || 'mention'
+    );
+  });
+  Object.assign(report, result);
+  await applyChannelCache(graph, filename);
+
+  return graph;
+}
+
+/**
+ * Users and per-channel author sets for the people commands (either may be empty)
+ * A .db file has them in its users and channel_authors tables; for JSONL data they come from
+ * the bot's users-cache.json and channel-authors.jsonl next to the data file (like the channel
+ * cache), so a sanitized release is never paired with the raw author lists.
+ * Returns { users: Map(userId -> user), channelAuthors: Map(channelId -> Set of user IDs) }
+ */
+export async function loadPeopleData(filename, {
+  usersFile = path.join(path.dirname(filename), 'users-cache.json'),
+  authorsFile = path.join(path.dirname(filename), 'channel-authors.jsonl'),
+  database = isDatabaseFile(filename)
+} = {}) {
+  const users = new Map();
+  const channelAuthors = new Map();
+  const addAuthors = (channelId, userIds) => {
+    if (!channelAuthors.has(channelId)) {
+      channelAuthors.set(channelId, new Set());
+    }
+    for (const userId of userIds) {
+      channelAuthors.get(channelId).add(userId);
+    }
+  };
+
+  if (database) {
+    const db = openDatabase(filename);
+    try {
+      // Databases from before schema version 4 have neither table
+      const tables = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name));
+      if (tables.has('users')) {
+        for (const user of db.prepare('SELECT * FROM users').iterate()) {
+          users.set(user.id, user);
+        }
+      }
+      if (tables.has('channel_authors')) {
+        for (const row of db.prepare('SELECT channel_id, user_id FROM channel_authors').iterate()) {
+          addAuthors(row.channel_id, [row.user_id]);
+        }
+      }
+    } finally {
+      db.close();
+    }
+    return { users, channelAuthors };
+  }
+
+  try {
+    const cache = JSON.parse(await fs.readFile(usersFile, 'utf-8'));
+    for (const user of cache.users || []) {
+      users.set(user.id, user);
+    }
+  } catch (error) {
+    // No user names fetched (FETCH_USERS=true)
+  }
+
+  try {
+    await fs.access(authorsFile);
+  } catch (error) {
+    return { users, channelAuthors };
+  }
+  const rl = readline.createInterface({
+    input: createReadStream(authorsFile),
+    crlfDelay: Infinity
+  });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.channel && Array.isArray(record.authors)) {
+        addAuthors(record.channel, record.authors);
+      }
+    } catch (error) {
+      // Skip a line truncated by an interrupted write
+    }
+  }
+
+  return { users, channelAuthors };
+}
+
+/**
+ * Print the problems found while reading a JSONL file
+ */
+export function printLoadReport(report, filename) {
+  if (report.invalid?.length > 0) {
+    console.log(`[WARN] Skipped ${report.invalid.length} invalid line(s) in ${filename}:`);
+    for (const { line, reason } of report.invalid.slice(0, 10)) {
+      console.log(`  line ${line}: ${reason}`);
+    }
+    if (report.invalid.length > 10) {
+      console.log(`  ... and ${report.invalid.length - 10} more`);
+    }
+  }
+  if (report.recovered > 0) {
+    console.log(`[WARN] Recovered ${report.recovered} record(s) from lines joined by an interrupted write`);
+  }
+  if (report.duplicates > 0) {
+    console.log(`[WARN] Ignored ${report.duplicates} duplicate record(s)`);
+  }
+  if (report.invalid?.length > 0 || report.recovered > 0 || report.duplicates > 0) {
+    console.log(`[INFO] Run "repair" in the CLI to rewrite a clean ${filename}`);
+  }
+}
+
+/**
+ * Load JSONL data (or a .db SQLite database) into graph structure
+ */
+export async function loadData(filename = 'channel-links.jsonl', { database } = {}) {
+  console.log(`[INFO] Loading data from ${filename}...`);
+
+  try {
+    const report = {};
+    const graph = await readGraph(filename, report, { database });
+    printLoadReport(report, filename);
     console.log(`[SUCCESS] Loaded ${graph.getTotalChannels()} channels with ${graph.getTotalConnections()} connections\n`);
     return graph;
   } catch (error) {
@@ -32,3 +370,93 @@ export async function loadData(filename = 'channel-links.jsonl') {
     process.exit(1);
   }
 }
+
+/**
+ * Rewrite a JSONL file with only its valid, de-duplicated records
+ * The original is kept as <file>.bak and the clean copy is swapped in with a rename
+ * Returns the read report plus { backup }
+ */
+export async function repairDataFile(filename, { database = isDatabaseFile(filename) } = {}) {
+  if (database) {
+    throw new Error('repair only works on JSONL files');
+  }
+
+  const tmpFile = `${filename}.tmp`;
+  const backup = `${filename}.bak`;
+  const out = createWriteStream(tmpFile, 'utf-8');
+  const finished = new Promise((resolve, reject) => {
+    out.on('finish', resolve);
+    out.on('error', reject);
+  });
+
+  const report = await readConnectionRecords(filename, record => {
+    if (!out.write(JSON.stringify(record) + '\n')) {
+      return once(out, 'drain');
+    }
+  });
+  out.end();
+  await finished;
+
+  await fs.copyFile(filename, backup);
+  await fs.rename(tmpFile, filename);
+  return { ...report, backup };
+}
+
+/**
+ * Modification time and size of a data file
+ * Writes to a database in WAL mode land in its -wal file first, so that counts too
+ */
+async function statDataFile(filename, database) {
+  const stats = await fs.stat(filename);
+  if (!database) {
+    return stats;
+  }
+  try {
+    const wal = await fs.stat(`${filename}-wal`);
+    return { mtimeMs: Math.max(stats.mtimeMs, wal.mtimeMs), size: stats.size + wal.size };
+  } catch (error) {
+    return stats;
+  }
+}
+
+/**
+ * Keep a graph loaded from a data file, reloading it when the file's modification time changes
+ * get() resolves to { graph, version, mtimeMs, size }. If a reload fails (e.g. the bot is
+ * mid-write), the previous graph is kept until the file changes again.
+ */
+export function createGraphSource(filename, { database = isDatabaseFile(filename) } = {}) {
+  let current = null;
+  let loading = null;
+  let failedVersion = null;
+
+  async function get() {
+    const stats = await statDataFile(filename, database);
+    const version = `${stats.mtimeMs}-${stats.size}`;
+    if (current?.version === version || (current && failedVersion === version)) {
+      return current;
+    }
+
+    if (!loading) {
+      loading = (async () => {
+        try {
+          console.log(`[INFO] Loading data from ${filename}...`);
+          const report = {};
+          const graph = await readGraph(filename, report, { database });
+          printLoadReport(report, filename);
+          current = { graph, version, mtimeMs: stats.mtimeMs, size: stats.size };
+          console.log(`[SUCCESS] Loaded ${graph.getTotalChannels()} channels with ${graph.getTotalConnections()} connections`);
+        } catch (error) {
+          if (!current) throw error;
+          failedVersion = version;
+          console.error(`[ERROR] Failed to reload data, keeping previous version: ${error.message}`);
+        } finally {
+          loading = null;
+        }
+      })();
+    }
+    await loading;
+    return current;
+  }
+
+  return { get };
+}
@@ -0,0 +1,64 @@
+import { EDGE_TYPES } from './graph.js';
+
+/**
+ * Split command arguments into positional args and --flags
+ * Flags named in valueFlags take the next word as their value (or use --flag=value); others are booleans
+ */
+export function parseArgs(parts, valueFlags = []) {
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (!part.startsWith('--')) {
+      args.push(part);
+      continue;
+    }
+
+    const [name, inlineValue] = part.slice(2).split(/=(.*)/s, 2);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (valueFlags.includes(name)) {
+      if (i + 1 >= parts.length) {
+        throw new Error(`--${name} needs a value`);
+      }
+      flags[name] = parts[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { args, flags };
+}
+
+/**
+ * Parse a date option into an ISO string (null if not given)
+ * With endOfDay, a date without a time covers that whole day
+ */
+export function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Parse a comma-separated list of edge types into a Set (null if not given)
+ */
+export function parseEdgeTypes(value) {
+  if (!value) return null;
+
+  const types = new Set(value.split(',').map(type => type.trim().toLowerCase()).filter(Boolean));
+  for (const type of types) {
+    if (!EDGE_TYPES.includes(type)) {
+      throw new Error(`Unknown edge type: ${type} (available: ${EDGE_TYPES.join(', ')})`);
+    }
+  }
+  return types;
+}
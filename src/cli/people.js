@@ -0,0 +1,194 @@
+/**
+ * The people behind the graph: who created the cross-channel links, and channels tied together
+ * by the users posting in them. Link authors come from each mention's authorUserId; the users
+ * who posted in each channel come from loadPeopleData (collected by the scanner).
+ */
+
+/**
+ * How to show a user: display name, real name or username, falling back to the ID
+ */
+export function userName(users, userId) {
+  const user = users.get(userId);
+  return user?.display_name || user?.real_name || user?.name || userId;
+}
+
+/**
+ * Find a user by ID, username, display name or real name (case-insensitive)
+ * Without a user list only IDs work. Returns null if nothing matches
+ */
+export function resolveUser(users, nameOrId) {
+  const query = nameOrId.replace(/^@/, '');
+  if (users.has(query.toUpperCase())) {
+    return query.toUpperCase();
+  }
+
+  const lower = query.toLowerCase();
+  for (const user of users.values()) {
+    if ([user.name, user.display_name, user.real_name].some(name => name && name.toLowerCase() === lower)) {
+      return user.id;
+    }
+  }
+  return /^[UW][A-Z0-9]+$/i.test(query) ? query.toUpperCase() : null;
+}
+
+/**
+ * Users ranked by the number of distinct channel-to-channel links they posted
+ * Returns [{ userId, links, mentions, channels }] where channels counts every channel on either end
+ */
+export function rankLinkAuthors(graph) {
+  const byUser = new Map();
+  for (const [from, data] of graph.channels.entries()) {
+    for (const edge of data.connections) {
+      for (const mention of edge.mentions) {
+        if (!mention.authorUserId) continue;
+        if (!byUser.has(mention.authorUserId)) {
+          byUser.set(mention.authorUserId, { links: new Set(), channels: new Set(), mentions: 0 });
+        }
+        const entry = byUser.get(mention.authorUserId);
+        entry.links.add(`${from}|${edge.to}`);
+        entry.channels.add(from).add(edge.to);
+        entry.mentions++;
+      }
+    }
+  }
+
+  return Array.from(byUser.entries())
+    .map(([userId, entry]) => ({ userId, links: entry.links.size, mentions: entry.mentions, channels: entry.channels.size }))
+    .sort((a, b) => b.links - a.links || b.mentions - a.mentions);
+}
+
+/**
+ * The links a user posted, most mentions first
+ * Returns [{ from, to, mentions, firstDate, lastDate, messageLink (their first), types }]
+ */
+export function getUserBridges(graph, userId) {
+  const bridges = [];
+  for (const [from, data] of graph.channels.entries()) {
+    for (const edge of data.connections) {
+      const mentions = graph.getMentionsInRange(edge).filter(mention => mention.authorUserId === userId);
+      if (mentions.length === 0) continue;
+      bridges.push({
+        from,
+        to: edge.to,
+        mentions: mentions.length,
+        firstDate: mentions[0].messageDate,
+        lastDate: mentions[mentions.length - 1].messageDate,
+        messageLink: mentions[0].messageLink,
+        types: Array.from(new Set(mentions.map(mention => mention.edgeType)))
+      });
+    }
+  }
+  return bridges.sort((a, b) => b.mentions - a.mentions || (a.firstDate < b.firstDate ? -1 : 1));
+}
+
+/**
+ * Who connects two channels
+ * linkers: users who posted links between them in either direction, most mentions first,
+ *   as [{ userId, forward, backward, firstDate, messageLink }] (forward = from a to b)
+ * sharedPosters: IDs of users who posted in both channels, or null without author data for both
+ */
+export function findConnectors(graph, channelAuthors, a, b) {
+  const linkers = new Map();
+  for (const [from, to, direction] of [[a, b, 'forward'], [b, a, 'backward']]) {
+    const edge = graph.getConnection(from, to);
+    if (!edge) continue;
+    for (const mention of graph.getMentionsInRange(edge)) {
+      if (!mention.authorUserId) continue;
+      if (!linkers.has(mention.authorUserId)) {
+        linkers.set(mention.authorUserId, { userId: mention.authorUserId, forward: 0, backward: 0, firstDate: mention.messageDate, messageLink: mention.messageLink });
+      }
+      const linker = linkers.get(mention.authorUserId);
+      linker[direction]++;
+      if (mention.messageDate < linker.firstDate) {
+        linker.firstDate = mention.messageDate;
+        linker.messageLink = mention.messageLink;
+      }
+    }
+  }
+
+  const postersA = channelAuthors.get(a);
+  const postersB = channelAuthors.get(b);
+  return {
+    linkers: Array.from(linkers.values()).sort((x, y) => (y.forward + y.backward) - (x.forward + x.backward)),
+    sharedPosters: postersA && postersB ? Array.from(postersA).filter(userId => postersB.has(userId)) : null
+  };
+}
+
+// A user in n channels adds n*(n-1)/2 pairs, so a few users who post everywhere would dominate
+// the time and memory of the projection
+export const MAX_POSTER_CHANNELS = 100;
+
+/**
+ * Channel-to-channel graph projected through shared posters: two channels are tied by the users
+ * who posted in both. Undirected, so each pair appears once.
+ * Users who posted in more than maxChannels channels are left out, of the overlap too.
+ * Returns { pairs: [{ a, b, shared, overlap }], skippedUsers }, most shared posters first, where
+ * overlap is the shared posters as a share of everyone who posted in either channel (Jaccard index)
+ */
+export function projectSharedPosters(channelAuthors, { minShared = 1, maxChannels = MAX_POSTER_CHANNELS } = {}) {
+  // userId -> channels they posted in
+  const channelsByUser = new Map();
+  for (const [channelId, authors] of channelAuthors.entries()) {
+    for (const userId of authors) {
+      if (!channelsByUser.has(userId)) {
+        channelsByUser.set(userId, []);
+      }
+      channelsByUser.get(userId).push(channelId);
+    }
+  }
+
+  // a -> (b -> shared posters), with a < b
+  const counts = new Map();
+  const posters = new Map();
+  let skippedUsers = 0;
+  for (const channels of channelsByUser.values()) {
+    if (channels.length > maxChannels) {
+      skippedUsers++;
+      continue;
+    }
+    for (const channelId of channels) {
+      posters.set(channelId, (posters.get(channelId) || 0) + 1);
+    }
+    channels.sort();
+    for (let i = 0; i < channels.length; i++) {
+      if (!counts.has(channels[i])) {
+        counts.set(channels[i], new Map());
+      }
+      const row = counts.get(channels[i]);
+      for (let j = i + 1; j < channels.length; j++) {
+        row.set(channels[j], (row.get(channels[j]) || 0) + 1);
+      }
+    }
+  }
+
+  const pairs = [];
+  for (const [a, row] of counts.entries()) {
+    for (const [b, shared] of row.entries()) {
+      if (shared < minShared) continue;
+      const union = posters.get(a) + posters.get(b) - shared;
+      pairs.push({ a, b, shared, overlap: shared / union });
+    }
+  }
+  return { pairs: pairs.sort((x, y) => y.shared - x.shared || y.overlap - x.overlap), skippedUsers };
+}
+
+/**
+ * Channels sharing the most posters with one channel
+ * Returns [{ id, shared, overlap }] (see projectSharedPosters)
+ */
+export function getSharedPosterNeighbours(channelAuthors, channelId, { minShared = 1 } = {}) {
+  const authors = channelAuthors.get(channelId);
+  if (!authors) return [];
+
+  const neighbours = [];
+  for (const [otherId, otherAuthors] of channelAuthors.entries()) {
+    if (otherId === channelId) continue;
+    let shared = 0;
+    for (const userId of authors) {
+      if (otherAuthors.has(userId)) shared++;
+    }
+    if (shared < minShared) continue;
+    neighbours.push({ id: otherId, shared, overlap: shared / (authors.size + otherAuthors.size - shared) });
+  }
+  return neighbours.sort((x, y) => y.shared - x.shared || y.overlap - x.overlap);
+}
@@ -0,0 +1,187 @@
+import { computeSeparation } from './analysis.js';
+import { findWeaklyConnectedComponents } from './components.js';
+
+/**
+ * Graph snapshots at a point in time, and how the graph grew between them
+ * A channel is part of a snapshot once it has a link in it; channel creation dates are not known.
+ */
+
+export const GRANULARITIES = ['year', 'quarter', 'month'];
+
+// Sources used for average separation per period unless --sample is given
+export const DEFAULT_TIMELINE_SAMPLE = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The graph as of a date: every mention up to `until` (ISO string, inclusive)
+ * With since, mentions on or before since are left out too, e.g. for a trailing window.
+ * Channels keep their current names and details.
+ */
+export function snapshotAt(graph, until, { since = null } = {}) {
+  return graph.filterMentions(mention => mention.messageDate <= until && (!since || mention.messageDate > since));
+}
+
+/**
+ * Start of the period a date falls in, as a Date (UTC)
+ */
+function periodStart(date, granularity) {
+  const year = date.getUTCFullYear();
+  if (granularity === 'year') return new Date(Date.UTC(year, 0, 1));
+  const month = date.getUTCMonth();
+  if (granularity === 'quarter') return new Date(Date.UTC(year, month - (month % 3), 1));
+  return new Date(Date.UTC(year, month, 1));
+}
+
+function nextPeriod(start, granularity) {
+  const months = granularity === 'year' ? 12 : granularity === 'quarter' ? 3 : 1;
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+}
+
+function periodLabel(start, granularity) {
+  const year = start.getUTCFullYear();
+  if (granularity === 'year') return String(year);
+  if (granularity === 'quarter') return `${year}-Q${Math.floor(start.getUTCMonth() / 3) + 1}`;
+  return `${year}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Earliest and latest mention dates in the graph, or null for an empty graph
+ */
+function mentionDateRange(graph) {
+  let first = null;
+  let last = null;
+  for (const data of graph.channels.values()) {
+    for (const edge of data.connections) {
+      if (!first || edge.firstDate < first) first = edge.firstDate;
+      if (!last || edge.lastDate > last) last = edge.lastDate;
+    }
+  }
+  return first ? { first, last } : null;
+}
+
+/**
+ * Calendar periods covering the graph's mentions (or since..until)
+ * Returns [{ label, start, end }] with ISO strings; end is the last millisecond of the period
+ */
+export function listPeriods(graph, granularity, { since = null, until = null } = {}) {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Unknown period: ${granularity} (available: ${GRANULARITIES.join(', ')})`);
+  }
+
+  const range = mentionDateRange(graph);
+  if (!range) return [];
+
+  const first = new Date(since && since > range.first ? since : range.first);
+  const last = new Date(until && until < range.last ? until : range.last);
+  const periods = [];
+  for (let start = periodStart(first, granularity); start <= last; start = nextPeriod(start, granularity)) {
+    periods.push({
+      label: periodLabel(start, granularity),
+      start: start.toISOString(),
+      end: new Date(nextPeriod(start, granularity).getTime() - 1).toISOString()
+    });
+  }
+  return periods;
+}
+
+/**
+ * How the graph grew, one row per period
+ * Returns [{ label, start, end, newChannels, newEdges, channels, edges, giantComponent,
+ *            averageSeparation, sampled }]; the giant component is the largest weakly connected one
+ */
+export function computeTimeline(graph, granularity, { since = null, until = null, sampleSize = DEFAULT_TIMELINE_SAMPLE } = {}) {
+  const rows = [];
+  let previous = null;
+
+  for (const period of listPeriods(graph, granularity, { since, until })) {
+    const snapshot = snapshotAt(graph, period.end);
+    const separation = computeSeparation(snapshot, { sampleSize });
+    const edges = snapshot.getTotalConnections();
+
+    // Counted from the snapshot before the period, so the first row includes everything up to it
+    const before = previous || snapshotAt(graph, new Date(new Date(period.start).getTime() - 1).toISOString());
+    rows.push({
+      ...period,
+      newChannels: snapshot.getTotalChannels() - before.getTotalChannels(),
+      newEdges: edges - before.getTotalConnections(),
+      channels: snapshot.getTotalChannels(),
+      edges,
+      giantComponent: findWeaklyConnectedComponents(snapshot).components[0]?.length || 0,
+      averageSeparation: separation.averageDistance,
+      sampled: separation.sampled
+    });
+    previous = snapshot;
+  }
+
+  return rows;
+}
+
+/**
+ * Channels with the most distinct neighbours (either direction), as [{ id, degree }]
+ */
+function topHubs(graph, n) {
+  const neighbours = new Map(Array.from(graph.channels.keys(), id => [id, new Set()]));
+  for (const [from, data] of graph.channels.entries()) {
+    for (const edge of data.connections) {
+      neighbours.get(from).add(edge.to);
+      neighbours.get(edge.to).add(from);
+    }
+  }
+
+  return Array.from(neighbours.entries())
+    .filter(([id]) => graph.getChannelName(id) !== id)
+    .map(([id, set]) => ({ id, degree: set.size }))
+    .sort((a, b) => b.degree - a.degree)
+    .slice(0, n);
+}
+
+function edgeList(graph) {
+  const edges = new Map();
+  for (const [from, data] of graph.channels.entries()) {
+    for (const edge of data.connections) {
+      edges.set(`${from}|${edge.to}`, { from, to: edge.to, weight: edge.weight, firstDate: edge.firstDate });
+    }
+  }
+  return edges;
+}
+
+/**
+ * Compare the graph as of two dates (ISO strings)
+ * With windowDays, each snapshot only holds the mentions of the days before its date, so links
+ * and hubs that went quiet disappear; otherwise snapshots are cumulative and links only appear.
+ * Returns { before, after, edgesAppeared, edgesDisappeared, hubsAppeared, hubsDisappeared }
+ * where hubs are channels entering or leaving the top `hubs` by number of linked channels.
+ */
+export function diffSnapshots(graph, date1, date2, { windowDays = null, hubs = 10 } = {}) {
+  const windowStart = (date) => (windowDays ? new Date(new Date(date).getTime() - windowDays * DAY_MS).toISOString() : null);
+  const before = snapshotAt(graph, date1, { since: windowStart(date1) });
+  const after = snapshotAt(graph, date2, { since: windowStart(date2) });
+
+  const edgesBefore = edgeList(before);
+  const edgesAfter = edgeList(after);
+  const byWeight = (a, b) => b.weight - a.weight;
+
+  const hubsBefore = topHubs(before, hubs);
+  const hubsAfter = topHubs(after, hubs);
+  const degreeIn = (snapshot, id) => {
+    const data = snapshot.channels.get(id);
+    if (!data) return 0;
+    const linked = new Set(data.connections.map(edge => edge.to));
+    for (const [from, other] of snapshot.channels.entries()) {
+      if (other.edges.has(id)) linked.add(from);
+    }
+    return linked.size;
+  };
+  const beforeIds = new Set(hubsBefore.map(hub => hub.id));
+  const afterIds = new Set(hubsAfter.map(hub => hub.id));
+
+  return {
+    before: { date: date1, channels: before.getTotalChannels(), edges: before.getTotalConnections() },
+    after: { date: date2, channels: after.getTotalChannels(), edges: after.getTotalConnections() },
+    edgesAppeared: Array.from(edgesAfter.entries()).filter(([key]) => !edgesBefore.has(key)).map(([, edge]) => edge).sort(byWeight),
+    edgesDisappeared: Array.from(edgesBefore.entries()).filter(([key]) => !edgesAfter.has(key)).map(([, edge]) => edge).sort(byWeight),
+    hubsAppeared: hubsAfter.filter(hub => !beforeIds.has(hub.id)).map(hub => ({ ...hub, previousDegree: degreeIn(before, hub.id) })),
+    hubsDisappeared: hubsBefore.filter(hub => !afterIds.has(hub.id)).map(hub => ({ ...hub, currentDegree: degreeIn(after, hub.id) }))
+  };
+}
@@ -0,0 +1,261 @@
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite schema for channel-graph.db
+ * - workspace: Workspace-level metadata and import state (key/value)
+ * - channels: All channel information
+ * - connections: Channel-to-channel mentions with metadata
+ * - scan_progress: Checkpoint of a scan writing through the SQLite output sink
+ * - users: Workspace users from users.list, for showing user IDs as names
+ * - channel_authors: Users who posted in each channel
+ *
+ * The schema version is kept in PRAGMA user_version. Each migration brings a database from the
+ * previous version to its own; databases built before versioning start at 0.
+ */
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+}
+
+function addColumnIfMissing(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Base tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS workspace (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS channels (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          name_normalized TEXT,
+          created INTEGER,
+          creator TEXT,
+          is_private INTEGER,
+          is_archived INTEGER,
+          is_general INTEGER,
+          is_channel INTEGER,
+          updated INTEGER,
+          message_count INTEGER DEFAULT 0,
+          community_id INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS connections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_channel_id TEXT NOT NULL,
+          to_channel_id TEXT NOT NULL,
+          from_channel_name TEXT NOT NULL,
+          to_channel_name TEXT NOT NULL,
+          message_ts TEXT NOT NULL,
+          message_date TEXT NOT NULL,
+          message_link TEXT NOT NULL,
+          thread_ts TEXT,
+          author_user_id TEXT,
+          message_text TEXT
+        );
+      `);
+
+      // Databases built by older versions of convert-to-sqlite.js lack these columns
+      addColumnIfMissing(db, 'channels', 'community_id', 'INTEGER');
+      addColumnIfMissing(db, 'connections', 'thread_ts', 'TEXT');
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_channel_name ON channels(name);
+        CREATE INDEX IF NOT EXISTS idx_channel_archived ON channels(is_archived);
+        CREATE INDEX IF NOT EXISTS idx_channel_community ON channels(community_id);
+
+        CREATE INDEX IF NOT EXISTS idx_conn_from ON connections(from_channel_id);
+        CREATE INDEX IF NOT EXISTS idx_conn_to ON connections(to_channel_id);
+        CREATE INDEX IF NOT EXISTS idx_conn_date ON connections(message_date);
+        CREATE INDEX IF NOT EXISTS idx_conn_author ON connections(author_user_id);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_conn_unique ON connections(from_channel_id, to_channel_id, message_ts);
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Scan progress for the SQLite output sink',
+    up(db) {
+      // Newest message seen per channel, where incremental scans continue from
+      addColumnIfMissing(db, 'channels', 'latest_message_ts', 'TEXT');
+
+      // The scanner's checkpoint, committed together with the connections it covers
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS scan_progress (
+          channel_id TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          cursor TEXT,
+          message_count INTEGER DEFAULT 0,
+          latest_ts TEXT,
+          threads_scanned INTEGER DEFAULT 0,
+          replies_scanned INTEGER DEFAULT 0,
+          seen_links TEXT,
+          updated_at TEXT
+        );
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Edge types',
+    up(db) {
+      // How the message referenced the channel: mention, permalink or share
+      addColumnIfMissing(db, 'connections', 'edge_type', "TEXT NOT NULL DEFAULT 'mention'");
+      db.exec('CREATE INDEX IF NOT EXISTS idx_conn_type ON connections(edge_type)');
+    }
+  },
+  {
+    version: 4,
+    description: 'Users and channel authors',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          name TEXT,
+          real_name TEXT,
+          display_name TEXT,
+          is_bot INTEGER,
+          deleted INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS channel_authors (
+          channel_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          PRIMARY KEY (channel_id, user_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_author_user ON channel_authors(user_id);
+      `);
+
+      // Authors found so far in a channel that is still being scanned
+      addColumnIfMissing(db, 'scan_progress', 'authors', 'TEXT');
+    }
+  },
+  {
+    version: 5,
+    description: 'Channel lifecycle',
+    up(db) {
+      // JSON array of names the channel had before being renamed
+      addColumnIfMissing(db, 'channels', 'previous_names', 'TEXT');
+      // When the channel was archived (unix seconds, approximate), NULL while it is active
+      addColumnIfMissing(db, 'channels', 'archived_at', 'INTEGER');
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Views are derived from the tables, so they are simply recreated after every migration
+ */
+function createViews(db) {
+  db.exec(`
+    DROP VIEW IF EXISTS channel_stats;
+    DROP VIEW IF EXISTS most_connected_channels;
+    DROP VIEW IF EXISTS connection_weights;
+    DROP VIEW IF EXISTS connection_details;
+
+    -- View: Channel statistics
+    CREATE VIEW channel_stats AS
+    SELECT
+      c.id,
+      c.name,
+      c.is_archived,
+      c.message_count,
+      c.community_id,
+      COUNT(DISTINCT conn_out.to_channel_id) as outgoing_connections,
+      COUNT(DISTINCT conn_in.from_channel_id) as incoming_connections,
+      COUNT(DISTINCT conn_out.to_channel_id) + COUNT(DISTINCT conn_in.from_channel_id) as total_connections
+    FROM channels c
+    LEFT JOIN connections conn_out ON c.id = conn_out.from_channel_id
+    LEFT JOIN connections conn_in ON c.id = conn_in.to_channel_id
+    GROUP BY c.id, c.name, c.is_archived, c.message_count, c.community_id;
+
+    -- View: Most connected channels
+    CREATE VIEW most_connected_channels AS
+    SELECT * FROM channel_stats
+    ORDER BY total_connections DESC;
+
+    -- View: Edge weights (one row per channel pair, aggregating every recorded mention)
+    CREATE VIEW connection_weights AS
+    SELECT
+      from_channel_id,
+      to_channel_id,
+      from_channel_name,
+      to_channel_name,
+      COUNT(*) as weight,
+      MIN(message_date) as first_date,
+      MAX(message_date) as last_date,
+      COUNT(DISTINCT author_user_id) as distinct_authors,
+      GROUP_CONCAT(DISTINCT edge_type) as edge_types
+    FROM connections
+    GROUP BY from_channel_id, to_channel_id;
+
+    -- View: Connection details with channel info
+    CREATE VIEW connection_details AS
+    SELECT
+      conn.id,
+      conn.from_channel_id,
+      conn.from_channel_name,
+      from_ch.is_archived as from_archived,
+      conn.to_channel_id,
+      conn.to_channel_name,
+      to_ch.is_archived as to_archived,
+      conn.message_date,
+      conn.message_link,
+      conn.edge_type,
+      conn.author_user_id,
+      conn.message_text
+    FROM connections conn
+    LEFT JOIN channels from_ch ON conn.from_channel_id = from_ch.id
+    LEFT JOIN channels to_ch ON conn.to_channel_id = to_ch.id;
+  `);
+}
+
+/**
+ * Bring a database up to SCHEMA_VERSION, one migration per transaction
+ * Returns the list of migrations that were applied
+ */
+export function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  if (current > SCHEMA_VERSION) {
+    throw new Error(`Database schema version ${current} is newer than this code supports (${SCHEMA_VERSION})`);
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    applied.push(migration);
+  }
+
+  if (applied.length > 0) {
+    createViews(db);
+  }
+  return applied;
+}
+
+/**
+ * Open (or create) a database and migrate it to the current schema
+ */
+export function openDatabase(filename) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  const applied = migrate(db);
+  for (const migration of applied) {
+    console.log(`[INFO] Applied schema migration ${migration.version}: ${migration.description}`);
+  }
+  return db;
+}
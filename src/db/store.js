@@ -0,0 +1,167 @@
+import { detectCommunities } from '../cli/communities.js';
+
+/**
+ * Writes shared by utils/convert-to-sqlite.js and the bot's SQLite output sink
+ */
+
+export function getWorkspaceValue(db, key) {
+  return db.prepare('SELECT value FROM workspace WHERE key = ?').get(key)?.value ?? null;
+}
+
+export function setWorkspaceValues(db, values) {
+  const upsert = db.prepare('INSERT INTO workspace (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+  db.transaction(() => {
+    for (const [key, value] of Object.entries(values)) {
+      upsert.run(key, value === null || value === undefined ? null : String(value));
+    }
+  })();
+}
+
+/**
+ * Names a channel had before, as stored in previous_names (JSON, null if none)
+ * Slack's previous_names are merged with the stored ones, plus the stored name if the channel was renamed since
+ */
+function mergePreviousNames(channel, stored) {
+  const names = new Set(channel.previous_names || []);
+  if (stored) {
+    for (const name of JSON.parse(stored.previous_names || '[]')) {
+      names.add(name);
+    }
+    // Rows added for channels missing from the channel list are named after their ID
+    if (stored.name !== channel.id) {
+      names.add(stored.name);
+    }
+  }
+  names.delete(channel.name);
+  return names.size > 0 ? JSON.stringify(Array.from(names)) : null;
+}
+
+/**
+ * Upsert channel rows from conversations.list objects (as stored in channels-cache.json)
+ * messageCounts (channelId -> total) replaces the stored count; channels missing from it keep theirs.
+ * Renames are kept in previous_names, and the first archived_at seen stays until a channel is unarchived.
+ * Community IDs are left alone.
+ */
+export function upsertChannels(db, channels, messageCounts = new Map()) {
+  const getStored = db.prepare('SELECT name, previous_names FROM channels WHERE id = ?');
+  const upsertChannel = db.prepare(`
+    INSERT INTO channels
+    (id, name, name_normalized, created, creator, is_private, is_archived, is_general, is_channel, updated,
+     previous_names, archived_at, message_count)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      name_normalized = excluded.name_normalized,
+      created = excluded.created,
+      creator = excluded.creator,
+      is_private = excluded.is_private,
+      is_archived = excluded.is_archived,
+      is_general = excluded.is_general,
+      is_channel = excluded.is_channel,
+      updated = excluded.updated,
+      previous_names = excluded.previous_names,
+      archived_at = CASE WHEN excluded.is_archived = 1 THEN COALESCE(channels.archived_at, excluded.archived_at) END,
+      message_count = COALESCE(?, channels.message_count)
+  `);
+
+  db.transaction(() => {
+    for (const channel of channels) {
+      const messageCount = messageCounts.has(channel.id) ? messageCounts.get(channel.id) : null;
+      upsertChannel.run(
+        channel.id,
+        channel.name,
+        channel.name_normalized || channel.name,
+        channel.created || null,
+        channel.creator || null,
+        channel.is_private ? 1 : 0,
+        channel.is_archived ? 1 : 0,
+        channel.is_general ? 1 : 0,
+        channel.is_channel ? 1 : 0,
+        channel.updated || null,
+        mergePreviousNames(channel, getStored.get(channel.id)),
+        channel.is_archived ? channel.archived_at || null : null,
+        messageCount || 0,
+        messageCount
+      );
+    }
+  })();
+}
+
+/**
+ * Upsert user rows from users.list objects (as stored in users-cache.json)
+ */
+export function upsertUsers(db, users) {
+  const upsertUser = db.prepare(`
+    INSERT INTO users (id, name, real_name, display_name, is_bot, deleted)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      real_name = excluded.real_name,
+      display_name = excluded.display_name,
+      is_bot = excluded.is_bot,
+      deleted = excluded.deleted
+  `);
+
+  db.transaction(() => {
+    for (const user of users) {
+      upsertUser.run(user.id, user.name || null, user.real_name || null, user.display_name || null, user.is_bot ? 1 : 0, user.deleted ? 1 : 0);
+    }
+  })();
+}
+
+/**
+ * Add users to the set of people who posted in a channel
+ * Returns the number that weren't stored yet
+ */
+export function insertChannelAuthors(db, channelId, userIds) {
+  const insertAuthor = db.prepare('INSERT OR IGNORE INTO channel_authors (channel_id, user_id) VALUES (?, ?)');
+  return db.transaction(() => {
+    let inserted = 0;
+    for (const userId of userIds) {
+      inserted += insertAuthor.run(channelId, userId).changes;
+    }
+    return inserted;
+  })();
+}
+
+/**
+ * Prepared insert for connection records (the objects written to channel-links.jsonl)
+ * Returns a function that inserts one record and returns 1 if it was new, 0 if already stored
+ */
+export function prepareConnectionInsert(db) {
+  const insertConnection = db.prepare(`
+    INSERT OR IGNORE INTO connections
+    (from_channel_id, to_channel_id, from_channel_name, to_channel_name, message_ts, message_date, message_link, thread_ts, author_user_id, message_text, edge_type)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  return (conn) => insertConnection.run(
+    conn.from,
+    conn.to,
+    conn.fromName,
+    conn.toName,
+    conn.messageTs,
+    conn.messageDate,
+    conn.messageLink,
+    conn.threadTs || null,
+    conn.authorUserId || null,
+    conn.messageText || null,
+    conn.edgeType || 'mention'
+  ).changes;
+}
+
+/**
+ * Detect communities over a graph read from the database and store them on the channel rows
+ * Returns the number of communities
+ */
+export function updateCommunities(db, graph) {
+  const communities = detectCommunities(graph);
+  const updateCommunity = db.prepare('UPDATE channels SET community_id = ? WHERE id = ?');
+  db.transaction(() => {
+    db.prepare('UPDATE channels SET community_id = NULL').run();
+    for (const [channelId, communityId] of communities.entries()) {
+      updateCommunity.run(communityId, channelId);
+    }
+  })();
+  return new Set(communities.values()).size;
+}
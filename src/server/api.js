@@ -0,0 +1,242 @@
+import { parseDate } from '../cli/options.js';
+import { METRICS, rankChannels } from '../cli/analysis.js';
+
+/**
+ * JSON API over ChannelGraph
+ * Handlers take the graph and URL search params and return a plain object, or throw an ApiError
+ */
+
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function requireChannel(graph, nameOrId, param) {
+  if (!nameOrId) {
+    throw new ApiError(400, `Missing query parameter: ${param}`);
+  }
+  const id = graph.getChannelId(nameOrId.replace(/^#/, ''));
+  if (!id) {
+    throw new ApiError(404, `Channel not found: ${nameOrId}`);
+  }
+  return id;
+}
+
+function parsePositiveInt(value, fallback, param) {
+  if (value === null || value === '') return fallback;
+  const number = parseInt(value);
+  if (isNaN(number) || number < 1) {
+    throw new ApiError(400, `${param} must be a positive number`);
+  }
+  return number;
+}
+
+function parseDateParam(value, endOfDay = false) {
+  try {
+    return parseDate(value, endOfDay);
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+}
+
+// Percent-decode one path segment; bad escapes like %E0%A4%A are the client's fault
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    throw new ApiError(400, 'Malformed URL');
+  }
+}
+
+// Flags like ?strong or ?strong=true
+function isSet(params, name) {
+  return params.has(name) && params.get(name) !== 'false' && params.get(name) !== '0';
+}
+
+function channelSummary(graph, id) {
+  return { id, name: graph.getChannelName(id) };
+}
+
+function serializePath(graph, result) {
+  return {
+    hops: result.path.length - 1,
+    path: result.path.map(id => channelSummary(graph, id)),
+    links: result.links
+  };
+}
+
+// Channels linking to a channel, with the edge that links them
+function incomingEdges(graph, channelId) {
+  const incoming = [];
+  for (const [from, data] of graph.channels.entries()) {
+    const edge = data.edges.get(channelId);
+    if (edge) incoming.push({ from, edge });
+  }
+  return incoming;
+}
+
+function serializeEdge(graph, id, edge) {
+  return {
+    ...channelSummary(graph, id),
+    weight: edge.weight,
+    firstDate: edge.firstDate,
+    lastDate: edge.lastDate,
+    authorCount: edge.authors.size,
+    messageLink: edge.messageLink
+  };
+}
+
+/**
+ * GET /api/channels?q=<text>&limit=<n> - channels whose name contains q
+ */
+function searchChannels(graph, params) {
+  const query = (params.get('q') || '').toLowerCase().replace(/^#/, '');
+  const limit = parsePositiveInt(params.get('limit'), 50, 'limit');
+
+  const matches = [];
+  for (const [id, data] of graph.channels.entries()) {
+    const name = data.name.toLowerCase();
+    if (!name.includes(query)) continue;
+    // Exact matches first, then prefix matches, then by number of links
+    const rank = name === query ? 0 : name.startsWith(query) ? 1 : 2;
+    matches.push({ id, name: data.name, rank, outgoing: data.connections.length });
+  }
+  matches.sort((a, b) => a.rank - b.rank || b.outgoing - a.outgoing);
+
+  return {
+    total: matches.length,
+    channels: matches.slice(0, limit).map(({ id, name, outgoing }) => ({ id, name, outgoing }))
+  };
+}
+
+/**
+ * GET /api/channels/<channel> - one channel by name or ID
+ */
+function getChannel(graph, nameOrId) {
+  const id = requireChannel(graph, nameOrId, 'channel');
+  return {
+    ...channelSummary(graph, id),
+    outgoing: graph.channels.get(id).connections.length,
+    incoming: incomingEdges(graph, id).length
+  };
+}
+
+/**
+ * GET /api/channels/<channel>/neighbors - channels linked to and from a channel
+ */
+function getNeighbors(graph, nameOrId) {
+  const id = requireChannel(graph, nameOrId, 'channel');
+  const byWeight = (a, b) => b.weight - a.weight;
+  return {
+    ...channelSummary(graph, id),
+    outgoing: graph.channels.get(id).connections.map(edge => serializeEdge(graph, edge.to, edge)).sort(byWeight),
+    incoming: incomingEdges(graph, id).map(({ from, edge }) => serializeEdge(graph, from, edge)).sort(byWeight)
+  };
+}
+
+/**
+ * GET /api/path?from=&to=[&strong][&chrono][&since=][&until=] - shortest path
+ */
+function getPath(graph, params) {
+  const fromId = requireChannel(graph, params.get('from'), 'from');
+  const toId = requireChannel(graph, params.get('to'), 'to');
+  const since = parseDateParam(params.get('since'));
+  const until = parseDateParam(params.get('until'), true);
+  const strong = isSet(params, 'strong');
+
+  let result;
+  if (isSet(params, 'chrono')) {
+    result = graph.findChronologicalPath(fromId, toId, { since, until });
+  } else if (strong || since || until) {
+    result = graph.findWeightedPath(fromId, toId, { strong, since, until });
+  } else {
+    result = graph.findPath(fromId, toId);
+  }
+
+  return {
+    from: channelSummary(graph, fromId),
+    to: channelSummary(graph, toId),
+    found: !!result,
+    ...(result ? serializePath(graph, result) : {})
+  };
+}
+
+/**
+ * GET /api/reachable?from=&hops= - every channel within a number of hops
+ */
+function getReachable(graph, params) {
+  const fromId = requireChannel(graph, params.get('from'), 'from');
+  const maxHops = parsePositiveInt(params.get('hops'), 2, 'hops');
+
+  const channels = [];
+  for (const [id, result] of graph.findAllPathsWithinHops(fromId, maxHops).entries()) {
+    channels.push({ ...channelSummary(graph, id), ...serializePath(graph, result) });
+  }
+  channels.sort((a, b) => a.hops - b.hops);
+
+  return { from: channelSummary(graph, fromId), maxHops, total: channels.length, channels };
+}
+
+/**
+ * GET /api/stats?limit=<n> - totals, most connected channels and strongest links
+ */
+function getStats(graph, params) {
+  const limit = parsePositiveInt(params.get('limit'), 10, 'limit');
+  const stats = graph.getDetailedStats();
+  return {
+    totalChannels: stats.totalChannels,
+    totalConnections: stats.totalConnections,
+    totalMentions: stats.totalMentions,
+    mostConnected: stats.channelsByConnections.slice(0, limit),
+    strongestConnections: stats.strongestConnections.slice(0, limit)
+  };
+}
+
+/**
+ * GET /api/rank?metric=<metric>&n=<n>[&sample=<n>] - top channels by a centrality metric
+ */
+function getRanking(graph, params) {
+  const metric = (params.get('metric') || 'pagerank').toLowerCase();
+  if (!METRICS[metric]) {
+    throw new ApiError(400, `Unknown metric: ${metric} (available: ${Object.keys(METRICS).join(', ')})`);
+  }
+  const n = parsePositiveInt(params.get('n'), 10, 'n');
+  const sampleSize = parsePositiveInt(params.get('sample'), null, 'sample');
+
+  return {
+    metric,
+    label: METRICS[metric],
+    ranking: rankChannels(graph, metric, n, { sampleSize })
+  };
+}
+
+/**
+ * Route a GET request to its handler
+ */
+export function handleApiRequest(graph, pathname, params) {
+  const parts = pathname.replace(/\/+$/, '').split('/').slice(1).map(decodePathPart);
+  if (parts[0] !== 'api') {
+    throw new ApiError(404, `Not found: ${pathname}`);
+  }
+
+  const [, resource, channel, sub] = parts;
+  switch (resource) {
+    case 'channels':
+      if (!channel) return searchChannels(graph, params);
+      if (!sub) return getChannel(graph, channel);
+      if (sub === 'neighbors') return getNeighbors(graph, channel);
+      break;
+    case 'path':
+      return getPath(graph, params);
+    case 'reachable':
+      return getReachable(graph, params);
+    case 'stats':
+      return getStats(graph, params);
+    case 'rank':
+      return getRanking(graph, params);
+  }
+
+  throw new ApiError(404, `Not found: ${pathname}`);
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+import http from 'http';
+import { createGraphSource, isDatabaseFile } from '../cli/loader.js';
+import { parseArgs } from '../cli/options.js';
+import { handleApiRequest, ApiError } from './api.js';
+
+const { flags } = parseArgs(process.argv.slice(2), ['data', 'db', 'port']);
+const DATA_FILE = flags.db || flags.data || process.env.DATA_FILE || 'channel-links.jsonl';
+const PORT = parseInt(flags.port || process.env.PORT) || 3000;
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+
+// --db reads the file as SQLite whatever it's called
+const source = createGraphSource(DATA_FILE, { database: Boolean(flags.db) || isDatabaseFile(DATA_FILE) });
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function handleRequest(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', CORS_ORIGIN);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'If-None-Match, Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(res, 405, { error: `Method not allowed: ${req.method}` });
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const { graph, mtimeMs, size } = await source.get();
+    // Routing and parameter errors are answered before any cache check, so they never become a 304
+    const body = handleApiRequest(graph, url.pathname, url.searchParams);
+
+    // Responses only change when the data file does
+    const etag = `"${Math.floor(mtimeMs).toString(36)}-${size.toString(36)}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+
+    sendJson(res, 200, body, { ETag: etag, 'Cache-Control': 'no-cache' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      sendJson(res, error.status, { error: error.message });
+      return;
+    }
+    console.error(`[ERROR] ${req.method} ${req.url}: ${error.message}`);
+    sendJson(res, 500, { error: 'Internal server error' });
+  }
+}
+
+// Main
+try {
+  await source.get();
+} catch (error) {
+  console.error(`[ERROR] Failed to load data: ${error.message}`);
+  process.exit(1);
+}
+
+const server = http.createServer(handleRequest);
+server.listen(PORT, () => {
+  console.log(`[SUCCESS] API listening on http://localhost:${PORT}/api`);
+});
+
+process.on('SIGINT', () => {
+  console.log('\n[INFO] Shutting down...');
+  server.close(() => process.exit(0));
+});
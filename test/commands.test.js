@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { EventEmitter } from 'events';
+import { ChannelGraph } from '../src/cli/graph.js';
+import { handleSlashCommand, handleAppMention, startCommandHandlers } from '../src/bot/commands.js';
+
+// Recorded Socket Mode envelopes; each test swaps in its own command text
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8'));
+const slashBody = (text) => ({ ...fixture('slash-command.json').payload, text });
+const mentionEvent = (text, extra = {}) => ({ ...fixture('app-mention.json').payload.event, text, ...extra });
+
+function link(graph, from, fromName, to, toName, ts, user = 'U1') {
+  const messageLink = `https://hackclub.slack.com/archives/${from}/p${ts.replace('.', '')}`;
+  graph.addConnection(from, to, fromName, toName, messageLink, new Date(parseFloat(ts) * 1000).toISOString(), user);
+}
+
+// lounge → ship (twice) → hackathons, announcements → lounge
+function sampleGraph() {
+  const graph = new ChannelGraph();
+  link(graph, 'C0266FRGV', 'lounge', 'C02SHIP', 'ship', '1700000000.000100');
+  link(graph, 'C0266FRGV', 'lounge', 'C02SHIP', 'ship', '1700000100.000100', 'U2');
+  link(graph, 'C02SHIP', 'ship', 'C03HACKS', 'hackathons', '1700000200.000100');
+  link(graph, 'C04NEWS', 'announcements', 'C0266FRGV', 'lounge', '1700000300.000100');
+  return graph;
+}
+
+const sectionTexts = (blocks) => blocks.filter(block => block.type === 'section').map(block => block.text.text);
+
+test('path answers in the channel with a permalink for every hop', () => {
+  const response = handleSlashCommand(fixture('slash-command.json').payload, sampleGraph());
+
+  assert.equal(response.response_type, 'in_channel');
+  assert.equal(response.text, '2 hop(s) from #lounge to #hackathons');
+  assert.equal(response.blocks.length, 5);
+  assert.deepEqual(sectionTexts(response.blocks), [
+    ':link: *2 hop(s)* from <#C0266FRGV|lounge> to <#C03HACKS|hackathons>',
+    '1. <#C0266FRGV|lounge> → <#C02SHIP|ship>  <https://hackclub.slack.com/archives/C0266FRGV/p1700000000000100|message>',
+    '2. <#C02SHIP|ship> → <#C03HACKS|hackathons>  <https://hackclub.slack.com/archives/C02SHIP/p1700000200000100|message>'
+  ]);
+  assert.equal(response.blocks[2].elements[0].text, '2023-11-14 · 2 mentions');
+});
+
+test('path explains when there is no route', () => {
+  const response = handleSlashCommand(slashBody('path #hackathons #announcements'), sampleGraph());
+
+  assert.equal(response.response_type, 'in_channel');
+  assert.equal(response.text, 'No path from #hackathons to #announcements');
+  assert.equal(response.blocks[0].text.text, ':x: No path from <#C03HACKS|hackathons> to <#C04NEWS|announcements>');
+  assert.equal(response.blocks[1].type, 'context');
+});
+
+test('hops groups reachable channels by distance', () => {
+  const response = handleSlashCommand(slashBody('hops #lounge 2'), sampleGraph());
+
+  assert.equal(response.text, '2 channel(s) within 2 hop(s) of #lounge');
+  assert.deepEqual(sectionTexts(response.blocks), [
+    ':world_map: *2 channel(s)* within 2 hop(s) of <#C0266FRGV|lounge>',
+    '*1 hop(s)* (1): <#C02SHIP|ship>',
+    '*2 hop(s)* (1): <#C03HACKS|hackathons>'
+  ]);
+});
+
+test('hops rejects an out-of-range count, only to the user', () => {
+  const response = handleSlashCommand(slashBody('hops #lounge 9'), sampleGraph());
+
+  assert.equal(response.response_type, 'ephemeral');
+  assert.equal(response.text, 'Hops must be a number from 1 to 6');
+  assert.equal(response.blocks[0].text.text, ':warning: Hops must be a number from 1 to 6');
+});
+
+test('neighbors lists links in both directions with mention counts', () => {
+  const response = handleSlashCommand(slashBody('neighbors <#C0266FRGV|lounge>'), sampleGraph());
+
+  assert.equal(response.text, '#lounge links to 1 and is linked from 1 channel(s)');
+  assert.deepEqual(sectionTexts(response.blocks), [
+    '*<#C0266FRGV|lounge>*',
+    '*Links to* (1): <#C02SHIP|ship> (2)',
+    '*Linked from* (1): <#C04NEWS|announcements> (1)'
+  ]);
+});
+
+test('stats sums up the graph', () => {
+  const response = handleSlashCommand(slashBody('stats'), sampleGraph());
+
+  assert.equal(response.response_type, 'in_channel');
+  assert.equal(response.text, '4 channels, 3 links, 4 mentions');
+  assert.match(response.blocks[1].text.text, /^\*Most connected\*\n1\. <#C0266FRGV\|lounge> - 2 \(1 out, 1 in\)/);
+});
+
+test('unknown channels and commands are errors shown only to the user', () => {
+  const graph = sampleGraph();
+
+  const missing = handleSlashCommand(slashBody('path #lounge #nope'), graph);
+  assert.equal(missing.response_type, 'ephemeral');
+  assert.equal(missing.text, 'Channel not found in the graph: #nope');
+  assert.equal(missing.blocks.length, 1);
+
+  const unknown = handleSlashCommand(slashBody('teleport #lounge'), graph);
+  assert.equal(unknown.response_type, 'ephemeral');
+  assert.equal(unknown.text, 'Unknown command: teleport. Try `help`');
+});
+
+test('mentions are answered in a thread, dropping the bot mention', () => {
+  const graph = sampleGraph();
+
+  const reply = handleAppMention(fixture('app-mention.json').payload.event, graph);
+  assert.equal(reply.channel, 'C0266FRGV');
+  assert.equal(reply.thread_ts, '1717171717.123456');
+  assert.equal(reply.text, '2 channel(s) within 2 hop(s) of #lounge');
+
+  const threaded = handleAppMention(mentionEvent('<@U06SIXBOT> stats', { thread_ts: '1717000000.000001' }), graph);
+  assert.equal(threaded.thread_ts, '1717000000.000001');
+  assert.equal(threaded.text, '4 channels, 3 links, 4 mentions');
+});
+
+test('responses stay within the Block Kit limits', () => {
+  const graph = new ChannelGraph();
+  const name = (i) => `channel-${i}-${'x'.repeat(150)}`;
+  // A 40-hop chain would take 81 blocks
+  for (let i = 0; i < 40; i++) {
+    link(graph, `C${i}`, name(i), `C${i + 1}`, name(i + 1), `${1700000000 + i}.000100`);
+  }
+  // 30 long-named channels one hop from the hub overflow a section
+  for (let i = 0; i < 30; i++) {
+    link(graph, 'CHUB', 'hub', `CW${i}`, `wide-${i}-${'y'.repeat(200)}`, `${1700001000 + i}.000100`);
+  }
+
+  const path = handleSlashCommand(slashBody('path C0 C40'), graph);
+  assert.equal(path.text, `40 hop(s) from #${name(0)} to #${name(40)}`);
+  assert.equal(path.blocks.length, 50);
+
+  const hops = handleSlashCommand(slashBody('hops #hub 1'), graph);
+  const wide = sectionTexts(hops.blocks)[1];
+  assert.equal(wide.length, 3000);
+  assert.ok(wide.endsWith('…'));
+  for (const text of [...sectionTexts(path.blocks), ...sectionTexts(hops.blocks)]) {
+    assert.ok(text.length <= 3000);
+  }
+});
+
+test('startCommandHandlers acks slash commands with the answer and replies to mentions', async () => {
+  const graph = sampleGraph();
+  const socket = new EventEmitter();
+  const posted = [];
+  const webClient = { chat: { postMessage: async (message) => posted.push(message) } };
+  startCommandHandlers(socket, webClient, { get: async () => ({ graph }) });
+
+  const slashAck = new Promise(resolve => socket.emit('slash_commands', { body: fixture('slash-command.json').payload, ack: resolve }));
+  const slashResponse = await slashAck;
+  assert.equal(slashResponse.response_type, 'in_channel');
+  assert.equal(slashResponse.text, '2 hop(s) from #lounge to #hackathons');
+
+  let mentionAcked = false;
+  const done = new Promise(resolve => {
+    webClient.chat.postMessage = async (message) => {
+      posted.push(message);
+      resolve();
+    };
+  });
+  socket.emit('app_mention', { event: fixture('app-mention.json').payload.event, ack: async () => { mentionAcked = true; } });
+  await done;
+  assert.ok(mentionAcked);
+  assert.equal(posted.length, 1);
+  assert.equal(posted[0].thread_ts, '1717171717.123456');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+
+const script = fileURLToPath(new URL('../utils/convert-to-sqlite.js', import.meta.url));
+const input = fileURLToPath(new URL('./fixtures/connections.jsonl', import.meta.url));
+
+const channels = [
+  ['C0266FRGV', 'lounge'],
+  ['C02SHIP', 'ship'],
+  ['C03HACKS', 'hackathons'],
+  ['C04NEWS', 'announcements'],
+  ['C05DOCS', 'docs']
+];
+
+// Converts the fixture links in a scratch directory with its own channel cache
+function convert(output) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'sixdegrees-'));
+  const file = (name) => path.join(dir, name);
+  writeFileSync(file('channels-cache.json'), JSON.stringify({
+    cachedAt: new Date().toISOString(),
+    channels: channels.map(([id, name]) => ({ id, name, is_private: false, is_archived: false }))
+  }));
+  const log = execFileSync(process.execPath, [
+    script,
+    '--input', input,
+    '--output', file(output),
+    '--cache', file('channels-cache.json'),
+    '--metadata', file('channel-metadata.json'),
+    '--users', file('users-cache.json'),
+    '--authors', file('channel-authors.jsonl')
+  ], { cwd: dir, encoding: 'utf-8' });
+  return { dir, log, dbFile: file(output) };
+}
+
+test('communities are detected in a database whose name has no extension', () => {
+  const { dir, log, dbFile } = convert('graphdata');
+  try {
+    // lounge, ship and hackathons form one community, announcements and docs another
+    assert.match(log, /Found 2 communities/);
+
+    const db = new Database(dbFile, { readonly: true });
+    const rows = db.prepare('SELECT id, community_id FROM channels ORDER BY id').all();
+    db.close();
+
+    assert.equal(rows.length, 5);
+    assert.ok(rows.every(row => row.community_id !== null));
+    const community = Object.fromEntries(rows.map(row => [row.id, row.community_id]));
+    assert.equal(community.C0266FRGV, community.C02SHIP);
+    assert.equal(community.C02SHIP, community.C03HACKS);
+    assert.equal(community.C04NEWS, community.C05DOCS);
+    assert.notEqual(community.C0266FRGV, community.C04NEWS);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
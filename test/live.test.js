@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { EventEmitter } from 'events';
+import { RECORD_ALL_MENTIONS } from '../src/bot/config.js';
+import { startLiveCapture } from '../src/bot/live.js';
+
+// Recorded Socket Mode events, keyed by what they exercise
+const events = JSON.parse(readFileSync(new URL('./fixtures/message-events.json', import.meta.url), 'utf-8'));
+
+const channelNames = () => new Map([
+  ['C0266FRGV', 'lounge'],
+  ['C02SHIP', 'ship'],
+  ['C03HACKS', 'hackathons'],
+  ['C04NEWS', 'announcements'],
+  ['C05DOCS', 'docs']
+]);
+
+// An output sink that already holds lounge → hackathons, recording what live capture writes
+function memorySink() {
+  const written = [];
+  return {
+    written,
+    async loadExistingLinks() {
+      return new Map([['C0266FRGV', new Set(['C03HACKS'])]]);
+    },
+    async writeConnections(connections) {
+      written.push(...connections);
+    }
+  };
+}
+
+// Emit a payload the way SocketModeClient does and wait for the handler to finish
+async function deliver(socket, type, event) {
+  let acked = 0;
+  socket.emit(type, { event, ack: async () => { acked++; } });
+  await new Promise(resolve => setImmediate(resolve));
+  return acked;
+}
+
+async function startCapture() {
+  const socket = new EventEmitter();
+  const sink = memorySink();
+  const names = channelNames();
+  await startLiveCapture(socket, names, sink);
+  return { socket, sink, names };
+}
+
+const summary = (connections) => connections.map(conn => `${conn.fromName} > ${conn.toName}`);
+
+test('new messages are written as links, skipping links already recorded', { skip: RECORD_ALL_MENTIONS && 'RECORD_ALL_MENTIONS writes every mention' }, async () => {
+  const { socket, sink } = await startCapture();
+
+  assert.equal(await deliver(socket, 'message', events.message), 1);
+  assert.deepEqual(summary(sink.written), ['lounge > ship']);
+  assert.equal(sink.written[0].messageLink, 'https://hackclub.slack.com/archives/C0266FRGV/p1717171800000100');
+  assert.equal(sink.written[0].authorUserId, 'U0123ABCD');
+  assert.equal(sink.written[0].threadTs, null);
+
+  // lounge > ship was just recorded
+  assert.equal(await deliver(socket, 'message', events.repeat), 1);
+  assert.equal(sink.written.length, 1);
+});
+
+test('thread replies link to the reply inside its thread', async () => {
+  const { socket, sink } = await startCapture();
+
+  assert.equal(await deliver(socket, 'message', events.threadReply), 1);
+  assert.deepEqual(summary(sink.written), ['lounge > docs']);
+  assert.equal(sink.written[0].threadTs, '1717171800.000100');
+  assert.equal(
+    sink.written[0].messageLink,
+    'https://hackclub.slack.com/archives/C0266FRGV/p1717172000000300?thread_ts=1717171800.000100&cid=C0266FRGV'
+  );
+});
+
+test('bot messages are recorded like the history scan does, without an author', async () => {
+  const { socket, sink } = await startCapture();
+
+  assert.equal(await deliver(socket, 'message', events.botMessage), 1);
+  assert.deepEqual(summary(sink.written), ['announcements > C06SCRAP']);
+  assert.equal(sink.written[0].authorUserId, null);
+});
+
+test('edits, deletions and join notices are acked but not recorded', async () => {
+  const { socket, sink } = await startCapture();
+
+  for (const event of [events.edit, events.deletion, events.join]) {
+    assert.equal(await deliver(socket, 'message', event), 1);
+  }
+  assert.deepEqual(sink.written, []);
+});
+
+test('channel_rename updates the names of later links', async () => {
+  const { socket, sink, names } = await startCapture();
+
+  assert.equal(await deliver(socket, 'channel_rename', events.rename), 1);
+  assert.equal(names.get('C05DOCS'), 'handbook');
+
+  assert.equal(await deliver(socket, 'message', events.afterRename), 1);
+  assert.deepEqual(summary(sink.written), ['announcements > handbook', 'announcements > ship']);
+});
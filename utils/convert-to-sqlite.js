@@ -1,259 +1,234 @@
 #!/usr/bin/env node
 
 import fs from 'fs';
-import readline from 'readline';
-import Database from 'better-sqlite3';
-
-// Database schema:
-// - channels: All channel information
-// - connections: Channel-to-channel mentions with metadata
-// - workspace: Workspace-level metadata
-
-const DB_FILE = 'channel-graph.db';
-
-async function main() {
-  console.log('Creating SQLite database...');
-
-  // Remove old database if it exists
-  if (fs.existsSync(DB_FILE)) {
-    fs.unlinkSync(DB_FILE);
-    console.log('Removed existing database');
-  }
-
-  const db = new Database(DB_FILE);
-
-  // Create tables
-  console.log('Creating tables...');
-  db.exec(`
-    CREATE TABLE workspace (
-      key TEXT PRIMARY KEY,
-      value TEXT
-    );
-
-    CREATE TABLE channels (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      name_normalized TEXT,
-      created INTEGER,
-      creator TEXT,
-      is_private INTEGER,
-      is_archived INTEGER,
-      is_general INTEGER,
-      is_channel INTEGER,
-      updated INTEGER,
-      message_count INTEGER DEFAULT 0
-    );
-
-    CREATE INDEX idx_channel_name ON channels(name);
-    CREATE INDEX idx_channel_archived ON channels(is_archived);
-
-    CREATE TABLE connections (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      from_channel_id TEXT NOT NULL,
-      to_channel_id TEXT NOT NULL,
-      from_channel_name TEXT NOT NULL,
-      to_channel_name TEXT NOT NULL,
-      message_ts TEXT NOT NULL,
-      message_date TEXT NOT NULL,
-      message_link TEXT NOT NULL,
-      author_user_id TEXT,
-      message_text TEXT
-    );
-
-    CREATE INDEX idx_conn_from ON connections(from_channel_id);
-    CREATE INDEX idx_conn_to ON connections(to_channel_id);
-    CREATE INDEX idx_conn_date ON connections(message_date);
-    CREATE INDEX idx_conn_author ON connections(author_user_id);
-    CREATE UNIQUE INDEX idx_conn_unique ON connections(from_channel_id, to_channel_id, message_ts);
-  `);
-
-  // Load metadata
-  console.log('Loading metadata...');
-  if (fs.existsSync('channel-metadata.json')) {
-    const metadata = JSON.parse(fs.readFileSync('channel-metadata.json', 'utf8'));
-    const insertWorkspace = db.prepare('INSERT INTO workspace (key, value) VALUES (?, ?)');
-
-    insertWorkspace.run('workspace_name', metadata.workspace);
-    insertWorkspace.run('generated_at', metadata.generatedAt);
-    insertWorkspace.run('total_channels', metadata.totalChannels.toString());
-    insertWorkspace.run('processing_time_seconds', metadata.processingTimeSeconds);
+import crypto from 'crypto';
+import { openDatabase, SCHEMA_VERSION } from '../src/db/schema.js';
+import {
+  getWorkspaceValue,
+  setWorkspaceValues,
+  upsertChannels,
+  upsertUsers,
+  insertChannelAuthors,
+  prepareConnectionInsert,
+  updateCommunities
+} from '../src/db/store.js';
+import { readGraph, loadPeopleData, parseConnectionLine, validateConnection } from '../src/cli/loader.js';
+import { parseArgs } from '../src/cli/options.js';
+
+// Imports channel-links.jsonl into a SQLite database (schema in src/db/schema.js)
+// By default only the lines added since the last run are read; --rebuild starts from scratch
+
+const { flags } = parseArgs(process.argv.slice(2), ['input', 'output', 'cache', 'metadata', 'users', 'authors']);
+const INPUT_FILE = flags.input || 'channel-links.jsonl';
+const DB_FILE = flags.output || 'channel-graph.db';
+const CACHE_FILE = flags.cache || 'channels-cache.json';
+const METADATA_FILE = flags.metadata || 'channel-metadata.json';
+const USERS_FILE = flags.users || 'users-cache.json';
+const AUTHORS_FILE = flags.authors || 'channel-authors.jsonl';
+const REBUILD = !!flags.rebuild;
+
+// Bytes before the import offset that must be unchanged to continue from it
+const CHECKSUM_WINDOW = 4096;
+const BATCH_SIZE = 1000;
+
+function readJson(filename) {
+  return fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename, 'utf8')) : null;
+}
 
-    console.log(`Workspace: ${metadata.workspace}`);
+/**
+ * Checksum of the bytes just before an offset, used to tell whether the file was rewritten
+ */
+function checksumBefore(filename, offset) {
+  const start = Math.max(0, offset - CHECKSUM_WINDOW);
+  const buffer = Buffer.alloc(offset - start);
+  const fd = fs.openSync(filename, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+  } finally {
+    fs.closeSync(fd);
   }
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
 
-  // Load channels from cache (has more complete data)
-  console.log('Loading channels...');
-  let channelCount = 0;
-
-  if (fs.existsSync('channels-cache.json')) {
-    const cache = JSON.parse(fs.readFileSync('channels-cache.json', 'utf8'));
-
-    // Load message counts from metadata if available
-    let messageCountsMap = new Map();
-    if (fs.existsSync('channel-metadata.json')) {
-      const metadata = JSON.parse(fs.readFileSync('channel-metadata.json', 'utf8'));
-      if (metadata.channels) {
-        Object.values(metadata.channels).forEach(ch => {
-          if (ch.messageCount !== undefined) {
-            messageCountsMap.set(ch.id, ch.messageCount);
-          }
-        });
-      }
+/**
+ * Complete lines of a file from a byte offset, with the offset just past each line
+ * A last line without a newline (e.g. still being written) is left for the next run
+ */
+async function* readLinesFrom(filename, start) {
+  let pending = Buffer.alloc(0);
+  let position = start;
+
+  for await (const chunk of fs.createReadStream(filename, { start })) {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    let newline;
+    while ((newline = pending.indexOf(0x0a)) !== -1) {
+      position += newline + 1;
+      yield { line: pending.subarray(0, newline).toString('utf8'), end: position };
+      pending = pending.subarray(newline + 1);
     }
+  }
+}
 
-    const insertChannel = db.prepare(`
-      INSERT OR IGNORE INTO channels
-      (id, name, name_normalized, created, creator, is_private, is_archived, is_general, is_channel, updated, message_count)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    const insertMany = db.transaction((channels) => {
-      for (const channel of channels) {
-        insertChannel.run(
-          channel.id,
-          channel.name,
-          channel.name_normalized || channel.name,
-          channel.created || null,
-          channel.creator || null,
-          channel.is_private ? 1 : 0,
-          channel.is_archived ? 1 : 0,
-          channel.is_general ? 1 : 0,
-          channel.is_channel ? 1 : 0,
-          channel.updated || null,
-          messageCountsMap.get(channel.id) || 0
-        );
-      }
-    });
+/**
+ * Workspace metadata and per-channel message counts
+ */
+function importMetadata(db) {
+  const metadata = readJson(METADATA_FILE);
+  if (!metadata) return null;
+
+  setWorkspaceValues(db, {
+    workspace_name: metadata.workspace,
+    generated_at: metadata.generatedAt,
+    total_channels: metadata.totalChannels,
+    processing_time_seconds: metadata.processingTimeSeconds
+  });
+  console.log(`Workspace: ${metadata.workspace}`);
+  return metadata;
+}
 
-    insertMany(cache.channels);
-    channelCount = cache.channels.length;
-    console.log(`Inserted ${channelCount} channels`);
+/**
+ * Upsert channel rows from the channel cache (more complete) or, without it, from metadata
+ * Community IDs are kept; message counts and newest message ts are refreshed from metadata
+ */
+function importChannels(db, metadata) {
+  const cache = readJson(CACHE_FILE);
+  const messageCounts = new Map();
+  for (const channel of Object.values(metadata?.channels || {})) {
+    if (channel.messageCount !== undefined) {
+      messageCounts.set(channel.id, channel.messageCount);
+    }
   }
 
-  // Fallback: load channels from metadata if cache doesn't exist
-  if (channelCount === 0 && fs.existsSync('channel-metadata.json')) {
-    const metadata = JSON.parse(fs.readFileSync('channel-metadata.json', 'utf8'));
-    const insertChannel = db.prepare(`
-      INSERT OR IGNORE INTO channels (id, name, name_normalized, message_count) VALUES (?, ?, ?, ?)
+  if (cache) {
+    upsertChannels(db, cache.channels, messageCounts);
+    console.log(`Upserted ${cache.channels.length} channels from ${CACHE_FILE}`);
+  } else if (metadata) {
+    // Fallback: channels from metadata if the cache doesn't exist
+    const upsertChannel = db.prepare(`
+      INSERT INTO channels (id, name, name_normalized, message_count) VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET name = excluded.name, message_count = excluded.message_count
     `);
 
     const channels = Object.values(metadata.channels);
-    const insertMany = db.transaction((channels) => {
+    db.transaction(() => {
       for (const channel of channels) {
-        insertChannel.run(
-          channel.id,
-          channel.name,
-          channel.name,
-          channel.messageCount || 0
-        );
+        upsertChannel.run(channel.id, channel.name, channel.name, channel.messageCount || 0);
       }
-    });
+    })();
 
-    insertMany(channels);
-    channelCount = channels.length;
-    console.log(`Inserted ${channelCount} channels from metadata`);
+    console.log(`Upserted ${channels.length} channels from ${METADATA_FILE}`);
   }
 
-  // Load connections from JSONL
-  console.log('Loading connections from JSONL...');
+  // Lets the bot's SQLite sink continue incrementally from a converted database
+  if (metadata) {
+    const setLatestTs = db.prepare('UPDATE channels SET latest_message_ts = COALESCE(?, latest_message_ts) WHERE id = ?');
+    db.transaction(() => {
+      for (const channel of Object.values(metadata.channels)) {
+        setLatestTs.run(channel.latestMessageTs || null, channel.id);
+      }
+    })();
+  }
+}
 
-  const insertConnection = db.prepare(`
-    INSERT OR IGNORE INTO connections
-    (from_channel_id, to_channel_id, from_channel_name, to_channel_name, message_ts, message_date, message_link, author_user_id, message_text)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
+/**
+ * User names and the users who posted in each channel, when the bot has collected them
+ * Both files are read in full; rows already stored are kept
+ */
+async function importPeople(db) {
+  const { users, channelAuthors } = await loadPeopleData(INPUT_FILE, { usersFile: USERS_FILE, authorsFile: AUTHORS_FILE });
 
-  let connectionCount = 0;
-  let batchSize = 1000;
-  let batch = [];
+  if (users.size > 0) {
+    upsertUsers(db, Array.from(users.values()));
+    console.log(`Upserted ${users.size} users from ${USERS_FILE}`);
+  }
+  if (channelAuthors.size > 0) {
+    let inserted = 0;
+    for (const [channelId, authors] of channelAuthors.entries()) {
+      inserted += insertChannelAuthors(db, channelId, authors);
+    }
+    console.log(`Added ${inserted} new channel author(s) from ${AUTHORS_FILE}`);
+  }
+}
 
-  const fileStream = fs.createReadStream('channel-links.jsonl');
-  const rl = readline.createInterface({
-    input: fileStream,
-    crlfDelay: Infinity
-  });
+/**
+ * Insert the connections added to the JSONL file since the last import
+ * The import offset and a checksum of the bytes before it are kept in the workspace table.
+ * If the file was replaced or rewritten (e.g. by the CLI's repair), it is read from the start;
+ * the unique index keeps already imported rows from being duplicated.
+ */
+async function importConnections(db) {
+  const { size } = fs.statSync(INPUT_FILE);
+  let offset = parseInt(getWorkspaceValue(db, 'import_offset') || '0', 10);
+  const checksum = getWorkspaceValue(db, 'import_checksum');
+
+  if (offset > 0 && (getWorkspaceValue(db, 'import_file') !== INPUT_FILE || offset > size || checksumBefore(INPUT_FILE, offset) !== checksum)) {
+    console.log(`[WARN] ${INPUT_FILE} changed since the last import, reading it from the start`);
+    offset = 0;
+  }
+  if (offset > 0) {
+    console.log(`Resuming from byte ${offset.toLocaleString()} of ${size.toLocaleString()}`);
+  }
 
+  const insertConnection = prepareConnectionInsert(db);
   const insertBatch = db.transaction((connections) => {
+    let inserted = 0;
     for (const conn of connections) {
-      insertConnection.run(
-        conn.from,
-        conn.to,
-        conn.fromName,
-        conn.toName,
-        conn.messageTs,
-        conn.messageDate,
-        conn.messageLink,
-        conn.authorUserId || null,
-        conn.messageText || null
-      );
+      inserted += insertConnection(conn);
     }
+    return inserted;
   });
 
-  for await (const line of rl) {
-    if (line.trim()) {
-      const connection = JSON.parse(line);
+  const result = { read: 0, inserted: 0, invalid: 0, recovered: 0 };
+  let batch = [];
+  let lineNumber = 0;
+  let end = offset;
+
+  // Offsets are only saved after their lines are committed
+  const flush = () => {
+    result.inserted += insertBatch(batch);
+    setWorkspaceValues(db, {
+      import_file: INPUT_FILE,
+      import_offset: end,
+      import_checksum: checksumBefore(INPUT_FILE, end)
+    });
+    batch = [];
+  };
+
+  for await (const line of readLinesFrom(INPUT_FILE, offset)) {
+    lineNumber++;
+    end = line.end;
+    if (!line.line.trim()) continue;
+
+    const where = `line ${lineNumber}${offset > 0 ? ` of the new data (from byte ${offset})` : ''}`;
+    const { records, problem, recovered } = parseConnectionLine(line.line);
+    if (problem) {
+      result.invalid++;
+      console.log(`\n[WARN] Skipping ${where}: ${problem}`);
+    }
+    result.recovered += recovered;
+
+    for (const connection of records) {
+      const reason = validateConnection(connection) || (!connection.messageTs && 'missing messageTs');
+      if (reason) {
+        result.invalid++;
+        console.log(`\n[WARN] Skipping record on ${where}: ${reason}`);
+        continue;
+      }
       batch.push(connection);
+      result.read++;
+    }
 
-      if (batch.length >= batchSize) {
-        insertBatch(batch);
-        connectionCount += batch.length;
-        batch = [];
-        process.stdout.write(`\rProcessed ${connectionCount} connections...`);
-      }
+    if (batch.length >= BATCH_SIZE) {
+      flush();
+      process.stdout.write(`\rProcessed ${result.read} connections...`);
     }
   }
+  flush();
 
-  // Insert remaining batch
-  if (batch.length > 0) {
-    insertBatch(batch);
-    connectionCount += batch.length;
-  }
+  return result;
+}
 
-  console.log(`\nInserted ${connectionCount} connections`);
-
-  // Create some useful views
-  console.log('Creating views...');
-  db.exec(`
-    -- View: Channel statistics
-    CREATE VIEW channel_stats AS
-    SELECT
-      c.id,
-      c.name,
-      c.is_archived,
-      c.message_count,
-      COUNT(DISTINCT conn_out.to_channel_id) as outgoing_connections,
-      COUNT(DISTINCT conn_in.from_channel_id) as incoming_connections,
-      COUNT(DISTINCT conn_out.to_channel_id) + COUNT(DISTINCT conn_in.from_channel_id) as total_connections
-    FROM channels c
-    LEFT JOIN connections conn_out ON c.id = conn_out.from_channel_id
-    LEFT JOIN connections conn_in ON c.id = conn_in.to_channel_id
-    GROUP BY c.id, c.name, c.is_archived, c.message_count;
-
-    -- View: Most connected channels
-    CREATE VIEW most_connected_channels AS
-    SELECT * FROM channel_stats
-    ORDER BY total_connections DESC;
-
-    -- View: Connection details with channel info
-    CREATE VIEW connection_details AS
-    SELECT
-      conn.id,
-      conn.from_channel_id,
-      conn.from_channel_name,
-      from_ch.is_archived as from_archived,
-      conn.to_channel_id,
-      conn.to_channel_name,
-      to_ch.is_archived as to_archived,
-      conn.message_date,
-      conn.message_link,
-      conn.author_user_id,
-      conn.message_text
-    FROM connections conn
-    LEFT JOIN channels from_ch ON conn.from_channel_id = from_ch.id
-    LEFT JOIN channels to_ch ON conn.to_channel_id = to_ch.id;
-  `);
-
-  // Print summary statistics
+function printSummary(db) {
   console.log('\n=== Database Summary ===');
   const stats = db.prepare('SELECT COUNT(*) as count FROM channels').get();
   console.log(`Total channels: ${stats.count}`);
@@ -279,13 +254,54 @@ async function main() {
     const msgCount = ch.message_count > 0 ? ` | ${ch.message_count.toLocaleString()} msgs` : '';
     console.log(`${i + 1}. ${ch.name}${archived}: ${ch.total_connections} total (${ch.outgoing_connections} out, ${ch.incoming_connections} in)${msgCount}`);
   });
+}
+
+async function main() {
+  if (!fs.existsSync(INPUT_FILE)) {
+    throw new Error(`${INPUT_FILE} not found`);
+  }
+
+  // Remove old database if asked to rebuild
+  if (REBUILD) {
+    if (fs.existsSync(DB_FILE)) {
+      for (const file of [DB_FILE, `${DB_FILE}-wal`, `${DB_FILE}-shm`]) {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+      }
+      console.log('Removed existing database');
+    }
+  }
+
+  console.log(`${fs.existsSync(DB_FILE) ? 'Updating' : 'Creating'} SQLite database ${DB_FILE} (schema version ${SCHEMA_VERSION})...`);
+  const db = openDatabase(DB_FILE);
+
+  console.log('Loading metadata...');
+  const metadata = importMetadata(db);
+
+  console.log('Loading channels...');
+  importChannels(db, metadata);
+
+  console.log('Loading users and channel authors...');
+  await importPeople(db);
+
+  console.log(`Loading connections from ${INPUT_FILE}...`);
+  const result = await importConnections(db);
+  console.log(`\nRead ${result.read} connections, inserted ${result.inserted} new${result.invalid > 0 ? `, skipped ${result.invalid} invalid line(s)/record(s)` : ''}`);
+  if (result.recovered > 0) {
+    console.log(`Recovered ${result.recovered} record(s) from lines joined by an interrupted write`);
+  }
+
+  console.log('Detecting communities...');
+  console.log(`Found ${updateCommunities(db, await readGraph(DB_FILE, {}, { database: true }))} communities`);
+
+  setWorkspaceValues(db, { last_import_at: new Date().toISOString() });
+  printSummary(db);
 
   db.close();
-  console.log(`\n✓ Database created successfully: ${DB_FILE}`);
+  console.log(`\n✓ Database ready: ${DB_FILE}`);
   console.log('\nExample queries to try:');
-  console.log('  sqlite3 channel-graph.db "SELECT * FROM most_connected_channels LIMIT 10"');
-  console.log('  sqlite3 channel-graph.db "SELECT * FROM channels WHERE name LIKE \'%hack%\'"');
-  console.log('  sqlite3 channel-graph.db "SELECT * FROM connections WHERE from_channel_name = \'announcements\' LIMIT 10"');
+  console.log(`  sqlite3 ${DB_FILE} "SELECT * FROM most_connected_channels LIMIT 10"`);
+  console.log(`  sqlite3 ${DB_FILE} "SELECT * FROM channels WHERE name LIKE '%hack%'"`);
+  console.log(`  sqlite3 ${DB_FILE} "SELECT * FROM connections WHERE from_channel_name = 'announcements' LIMIT 10"`);
 }
 
 main().catch(err => {
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+import { loadData } from '../src/cli/loader.js';
+import { parseArgs } from '../src/cli/options.js';
+import { EXPORT_FORMATS, EXPORT_VALUE_FLAGS, parseExportOptions, exportGraph, loadChannelAttributes } from '../src/cli/export.js';
+
+// Export channel-links.jsonl for Gephi, Cytoscape or Graphviz
+// Node attributes come from channels-cache.json and channel-metadata.json next to the input file
+
+const INPUT_FILE = 'channel-links.jsonl';
+
+async function main() {
+  const { args, flags } = parseArgs(process.argv.slice(2), [...EXPORT_VALUE_FLAGS, 'input']);
+  if (args.length < 2) {
+    console.log(`Usage: node utils/export-graph.js <${Object.keys(EXPORT_FORMATS).join('|')}> <file> [options]`);
+    console.log('  --input <file>            - JSONL or .db file to read (default channel-links.jsonl)');
+    console.log('  --min-degree <n>          - Only channels linked with at least n others');
+    console.log('  --since/--until <date>    - Only links mentioned inside the date range');
+    console.log('  --around <ch> --hops <n>  - Only channels within n links of a channel (default 1)');
+    console.log('  --types <list>            - Only links of these types: mention, permalink, share');
+    process.exit(1);
+  }
+
+  const [format, filename] = args;
+  const inputFile = flags.input || INPUT_FILE;
+  const graph = await loadData(inputFile);
+
+  const counts = exportGraph(graph, format.toLowerCase(), filename, parseExportOptions(graph, flags), loadChannelAttributes(inputFile));
+  console.log(`✓ Wrote ${counts.nodes} channels and ${counts.edges} links to ${filename} (${EXPORT_FORMATS[format.toLowerCase()]})`);
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
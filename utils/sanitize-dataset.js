@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import Database from 'better-sqlite3';
+import { isDatabaseFile, readConnectionRecords, loadPeopleData } from '../src/cli/loader.js';
+import { parseArgs } from '../src/cli/options.js';
+
+// Builds a release bundle of the dataset that is safe to publish (e.g. for the web version):
+// private channels hashed or dropped, message text stripped or truncated, authors pseudonymised
+// with a salted hash, and a manifest.json listing what was removed
+
+const { flags } = parseArgs(process.argv.slice(2), ['input', 'out', 'cache', 'metadata', 'authors', 'private', 'text', 'text-length', 'salt']);
+const INPUT_FILE = flags.input || 'channel-links.jsonl';
+const OUT_DIR = flags.out || 'release';
+const CACHE_FILE = flags.cache || 'channels-cache.json';
+const METADATA_FILE = flags.metadata || 'channel-metadata.json';
+const AUTHORS_FILE = flags.authors || 'channel-authors.jsonl';
+const PRIVATE_MODE = (flags.private || 'hash').toLowerCase();
+const TEXT_MODE = (flags.text || 'strip').toLowerCase();
+const TEXT_LENGTH = flags['text-length'] ? parseInt(flags['text-length']) : 80;
+// Channels missing from the channel list (archived, or never visible to the bot) count as private.
+// Archived public channels are only in the list when the bot ran with INCLUDE_ARCHIVED=true, and the
+// ID can't tell them apart (private channels have C... IDs too), so --keep-unknown is all or nothing
+const KEEP_UNKNOWN = !!flags['keep-unknown'];
+
+const PRIVATE_MODES = ['hash', 'drop'];
+const TEXT_MODES = ['strip', 'truncate', 'keep'];
+
+// Slack IDs in message text: channel mentions (which may carry the name), permalinks, user mentions
+const CHANNEL_MENTION_PATTERN = /<#([A-Z0-9]+)(?:\|[^>]*)?>/g;
+const PERMALINK_PATTERN = /(\/archives\/)([A-Z0-9]+)/g;
+const USER_MENTION_PATTERN = /<@([A-Z0-9]+)(?:\|[^>]*)?>/g;
+
+// Channel names typed as plain text (#name) aren't links, so only names we know can be found
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function readJson(filename) {
+  return fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename, 'utf8')) : null;
+}
+
+/**
+ * Stable pseudonym for an ID: the same ID and salt always give the same result, and
+ * without the salt it can't be reversed by hashing known IDs
+ */
+function createHasher(salt) {
+  const cache = new Map();
+  return (kind, prefix, id) => {
+    const key = `${kind}:${id}`;
+    if (!cache.has(key)) {
+      const digest = crypto.createHmac('sha256', salt).update(key).digest('hex');
+      cache.set(key, `${prefix}${digest.slice(0, 10).toUpperCase()}`);
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Channel names and privacy from the database or the bot's channel cache
+ * Returns Map(channelId -> { name, isPrivate })
+ */
+function loadChannelList(db) {
+  const channels = new Map();
+  if (db) {
+    for (const row of db.prepare('SELECT id, name, is_private FROM channels').iterate()) {
+      channels.set(row.id, { name: row.name, isPrivate: !!row.is_private });
+    }
+    return channels;
+  }
+
+  const cache = readJson(CACHE_FILE);
+  for (const channel of cache?.channels || []) {
+    channels.set(channel.id, { name: channel.name, isPrivate: !!channel.is_private });
+  }
+  return channels;
+}
+
+/**
+ * Metadata in the shape of channel-metadata.json, from the database or the metadata file
+ */
+function loadMetadata(db) {
+  if (!db) return readJson(METADATA_FILE);
+
+  const workspace = Object.fromEntries(db.prepare('SELECT key, value FROM workspace').all().map(row => [row.key, row.value]));
+  if (!workspace.generated_at) return null;
+  const metadata = {
+    workspace: workspace.workspace_name,
+    generatedAt: workspace.generated_at,
+    totalChannels: parseInt(workspace.total_channels) || 0,
+    channels: {}
+  };
+  for (const row of db.prepare('SELECT id, name, message_count, latest_message_ts FROM channels').iterate()) {
+    metadata.channels[row.id] = { id: row.id, name: row.name, messageCount: row.message_count || 0, latestMessageTs: row.latest_message_ts };
+  }
+  return metadata;
+}
+
+/**
+ * Stream connection records from JSONL (valid, de-duplicated) or from the connections table
+ */
+async function forEachConnection(db, onRecord) {
+  if (!db) {
+    return await readConnectionRecords(INPUT_FILE, onRecord);
+  }
+
+  const hasEdgeTypes = db.prepare('PRAGMA table_info(connections)').all().some(info => info.name === 'edge_type');
+  const rows = db.prepare(`SELECT *${hasEdgeTypes ? '' : ", 'mention' AS edge_type"} FROM connections ORDER BY id`);
+  let records = 0;
+  for (const row of rows.iterate()) {
+    records++;
+    const pending = onRecord({
+      from: row.from_channel_id,
+      to: row.to_channel_id,
+      fromName: row.from_channel_name,
+      toName: row.to_channel_name,
+      messageTs: row.message_ts,
+      messageDate: row.message_date,
+      messageLink: row.message_link,
+      threadTs: row.thread_ts,
+      authorUserId: row.author_user_id,
+      messageText: row.message_text,
+      edgeType: row.edge_type
+    });
+    if (pending) await pending;
+  }
+  return { records, invalid: [], duplicates: 0 };
+}
+
+/**
+ * Names of private channels, from the channel list and the names stored on their links
+ * (which covers channels missing from the list, and names from before a rename)
+ * Returns Map(lowercase name -> channel ID)
+ */
+async function collectPrivateNames(db, channels, isPrivate) {
+  const names = new Map();
+  const add = (channelId, name) => {
+    if (name && name !== channelId && isPrivate(channelId) && !names.has(name.toLowerCase())) {
+      names.set(name.toLowerCase(), channelId);
+    }
+  };
+
+  for (const [channelId, { name }] of channels.entries()) {
+    add(channelId, name);
+  }
+  await forEachConnection(db, (conn) => {
+    add(conn.from, conn.fromName);
+    add(conn.to, conn.toName);
+  });
+  return names;
+}
+
+/**
+ * Line-by-line writer that respects backpressure and hashes what it writes
+ */
+function createJsonlWriter(filename) {
+  const out = fs.createWriteStream(filename, 'utf-8');
+  const hash = crypto.createHash('sha256');
+  let records = 0;
+
+  return {
+    write(record) {
+      const line = JSON.stringify(record) + '\n';
+      hash.update(line);
+      records++;
+      if (!out.write(line)) {
+        return once(out, 'drain');
+      }
+    },
+    async close() {
+      out.end();
+      await once(out, 'finish');
+      return { records, sha256: hash.digest('hex') };
+    }
+  };
+}
+
+function writeJsonFile(filename, value) {
+  const data = JSON.stringify(value, null, 2) + '\n';
+  fs.writeFileSync(filename, data, 'utf-8');
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function printUsage() {
+  console.log('Usage: node utils/sanitize-dataset.js [options]');
+  console.log('  --input <file>            - JSONL or .db file to sanitize (default channel-links.jsonl)');
+  console.log('  --out <dir>               - Bundle directory (default release)');
+  console.log(`  --private <mode>          - ${PRIVATE_MODES.join('|')}: pseudonymise private channels or drop their links (default hash)`);
+  console.log(`  --text <mode>             - ${TEXT_MODES.join('|')}: message text, redacted on a best-effort basis when kept (default strip)`);
+  console.log('  --text-length <n>         - Characters kept with --text truncate (default 80)');
+  console.log('  --keep-unknown            - Treat channels missing from the channel list as public. Archived channels');
+  console.log('                              are only listed if the bot ran with INCLUDE_ARCHIVED=true; otherwise');
+  console.log('                              archived public channels are hashed as private unless this is set');
+  console.log('  --salt <secret>           - Salt for pseudonyms (default SANITIZE_SALT)');
+  console.log('  --cache/--metadata/--authors <file> - Channel cache, metadata and authors files for JSONL input');
+}
+
+async function main() {
+  if (flags.help) {
+    printUsage();
+    return;
+  }
+  if (!PRIVATE_MODES.includes(PRIVATE_MODE)) {
+    throw new Error(`--private must be one of: ${PRIVATE_MODES.join(', ')}`);
+  }
+  if (!TEXT_MODES.includes(TEXT_MODE)) {
+    throw new Error(`--text must be one of: ${TEXT_MODES.join(', ')}`);
+  }
+  if (isNaN(TEXT_LENGTH) || TEXT_LENGTH < 1) {
+    throw new Error('--text-length must be a positive number');
+  }
+  if (!fs.existsSync(INPUT_FILE)) {
+    throw new Error(`${INPUT_FILE} not found`);
+  }
+
+  const salt = flags.salt || process.env.SANITIZE_SALT;
+  if (!salt) {
+    console.log('[WARN] No --salt or SANITIZE_SALT given, using a random salt: pseudonyms won\'t match earlier or later releases');
+  }
+  const hashId = createHasher(salt || crypto.randomBytes(32).toString('hex'));
+
+  const db = isDatabaseFile(INPUT_FILE) ? new Database(INPUT_FILE, { readonly: true, fileMustExist: true }) : null;
+  const channels = loadChannelList(db);
+  if (channels.size === 0) {
+    console.log(`[WARN] No channel list found (${db ? 'channels table' : CACHE_FILE}), every channel counts as ${KEEP_UNKNOWN ? 'public' : 'private'}`);
+  }
+
+  const isPrivate = (channelId) => {
+    if (/^[GD]/.test(channelId)) return true; // Private groups and DMs
+    const channel = channels.get(channelId);
+    return channel ? channel.isPrivate : !KEEP_UNKNOWN;
+  };
+  const channelRef = (channelId) => (isPrivate(channelId) ? hashId('channel', 'P', channelId) : channelId);
+  const userRef = (userId) => hashId('user', 'U', userId);
+
+  // Hashed private channels use their pseudonym as name too, so tools that hide channels whose
+  // name equals their ID (e.g. the CLI's stats) keep hiding them
+  const channelName = (channelId, name) => (isPrivate(channelId) ? channelRef(channelId) : name);
+
+  // Kept text also loses plain #name references to private channels (best effort: only known names)
+  const privateNames = TEXT_MODE === 'strip' ? new Map() : await collectPrivateNames(db, channels, isPrivate);
+  const privateNamePattern = privateNames.size > 0
+    ? new RegExp(`(?<![\\w-])#(${Array.from(privateNames.keys(), escapeRegex).join('|')})(?![\\w-])`, 'gi')
+    : null;
+
+  // What's said inside a private channel is never published
+  const sanitizeText = (text, fromPrivate) => {
+    if (!text || fromPrivate || TEXT_MODE === 'strip') return null;
+    let redacted = text
+      .replace(CHANNEL_MENTION_PATTERN, (mention, id) => (isPrivate(id) ? `<#${channelRef(id)}>` : mention))
+      .replace(PERMALINK_PATTERN, (link, prefix, id) => `${prefix}${channelRef(id)}`)
+      .replace(USER_MENTION_PATTERN, (mention, id) => `<@${userRef(id)}>`);
+    if (privateNamePattern) {
+      redacted = redacted.replace(privateNamePattern, (mention, name) => {
+        manifest.removed.privateChannelNamesRedacted++;
+        return `#${channelRef(privateNames.get(name.toLowerCase()))}`;
+      });
+    }
+    return TEXT_MODE === 'truncate' && redacted.length > TEXT_LENGTH ? redacted.slice(0, TEXT_LENGTH) : redacted;
+  };
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    source: path.basename(INPUT_FILE),
+    options: {
+      privateChannels: PRIVATE_MODE,
+      messageText: TEXT_MODE === 'truncate' ? `truncate to ${TEXT_LENGTH} characters` : TEXT_MODE,
+      unknownChannels: KEEP_UNKNOWN ? 'public' : 'private',
+      authors: 'salted hash',
+      salt: salt ? 'provided' : 'random'
+    },
+    removed: {
+      connectionsDropped: 0,
+      privateChannelsHashed: 0,
+      privateChannelsDropped: 0,
+      messageTextStripped: 0,
+      messageTextTruncated: 0,
+      messageLinksRedacted: 0,
+      privateMessageAuthorsRemoved: 0,
+      privateChannelNamesRedacted: 0,
+      privateChannelAuthorListsDropped: 0,
+      authorsPseudonymised: 0,
+      invalidRecordsSkipped: 0,
+      duplicateRecordsSkipped: 0
+    },
+    notIncluded: ['users-cache.json (user names)', 'channels-cache.json', 'checkpoint.json'],
+    caveats: TEXT_MODE === 'strip' ? [] : [
+      'Kept message text is redacted on a best-effort basis only: channel and user mentions, permalinks and #names of known private channels are replaced, anything else written in the text is published as is'
+    ],
+    files: {}
+  };
+  const privateSeen = new Set();
+  const authorsSeen = new Set();
+
+  // Connections
+  console.log(`[INFO] Sanitizing connections from ${INPUT_FILE}...`);
+  const links = createJsonlWriter(path.join(OUT_DIR, 'channel-links.jsonl'));
+  const report = await forEachConnection(db, (conn) => {
+    const fromPrivate = isPrivate(conn.from);
+    const toPrivate = isPrivate(conn.to);
+    if (fromPrivate) privateSeen.add(conn.from);
+    if (toPrivate) privateSeen.add(conn.to);
+
+    if (PRIVATE_MODE === 'drop' && (fromPrivate || toPrivate)) {
+      manifest.removed.connectionsDropped++;
+      return;
+    }
+
+    const text = sanitizeText(conn.messageText, fromPrivate);
+    if (conn.messageText && text === null) manifest.removed.messageTextStripped++;
+    else if (conn.messageText && TEXT_MODE === 'truncate' && text.length < conn.messageText.length) manifest.removed.messageTextTruncated++;
+
+    // A link into a private channel gives away its ID, and its author who is in there
+    if (fromPrivate) manifest.removed.messageLinksRedacted++;
+    if (fromPrivate && conn.authorUserId) manifest.removed.privateMessageAuthorsRemoved++;
+    const author = fromPrivate ? null : conn.authorUserId;
+    if (author) authorsSeen.add(author);
+
+    return links.write({
+      ...conn,
+      from: channelRef(conn.from),
+      to: channelRef(conn.to),
+      fromName: channelName(conn.from, conn.fromName),
+      toName: channelName(conn.to, conn.toName),
+      messageLink: fromPrivate ? 'redacted' : conn.messageLink,
+      authorUserId: author ? userRef(author) : null,
+      messageText: text
+    });
+  });
+  manifest.files['channel-links.jsonl'] = await links.close();
+  manifest.removed.invalidRecordsSkipped = report.invalid.length;
+  manifest.removed.duplicateRecordsSkipped = report.duplicates;
+
+  // Metadata: private channels are renamed or left out like in the connections
+  const metadata = loadMetadata(db);
+  if (metadata) {
+    const sanitized = { ...metadata, outputFile: 'channel-links.jsonl', channels: {} };
+    for (const channel of Object.values(metadata.channels || {})) {
+      if (isPrivate(channel.id)) {
+        privateSeen.add(channel.id);
+        if (PRIVATE_MODE === 'drop') continue;
+      }
+      const id = channelRef(channel.id);
+      sanitized.channels[id] = { ...channel, id, name: channelName(channel.id, channel.name) };
+    }
+    sanitized.totalChannels = Object.keys(sanitized.channels).length;
+    manifest.files['channel-metadata.json'] = {
+      records: sanitized.totalChannels,
+      sha256: writeJsonFile(path.join(OUT_DIR, 'channel-metadata.json'), sanitized)
+    };
+  }
+
+  // Who posted where, with pseudonymised users. Who is in a private channel is never published
+  const { channelAuthors } = await loadPeopleData(INPUT_FILE, { authorsFile: AUTHORS_FILE });
+  if (channelAuthors.size > 0) {
+    const authors = createJsonlWriter(path.join(OUT_DIR, 'channel-authors.jsonl'));
+    for (const [channelId, userIds] of channelAuthors.entries()) {
+      if (isPrivate(channelId)) {
+        privateSeen.add(channelId);
+        manifest.removed.privateChannelAuthorListsDropped++;
+        continue;
+      }
+      for (const userId of userIds) authorsSeen.add(userId);
+      await authors.write({ channel: channelRef(channelId), authors: Array.from(userIds, userRef) });
+    }
+    manifest.files['channel-authors.jsonl'] = await authors.close();
+  }
+
+  if (PRIVATE_MODE === 'drop') {
+    manifest.removed.privateChannelsDropped = privateSeen.size;
+  } else {
+    manifest.removed.privateChannelsHashed = privateSeen.size;
+  }
+  manifest.removed.authorsPseudonymised = authorsSeen.size;
+
+  const unlisted = Array.from(privateSeen).filter(channelId => !/^[GD]/.test(channelId) && !channels.has(channelId));
+  if (unlisted.length > 0 && channels.size > 0) {
+    console.log(`[WARN] ${unlisted.length} channel(s) missing from the channel list were treated as private - archived public channels are only listed when the bot runs with INCLUDE_ARCHIVED=true (see --keep-unknown)`);
+  }
+  writeJsonFile(path.join(OUT_DIR, 'manifest.json'), manifest);
+  db?.close();
+
+  console.log(`\n[SUCCESS] Release bundle written to ${OUT_DIR}/`);
+  for (const [file, { records }] of Object.entries(manifest.files)) {
+    console.log(`  ${file} - ${records} record(s)`);
+  }
+  console.log('  manifest.json');
+  console.log('\nRemoved:');
+  for (const [what, count] of Object.entries(manifest.removed)) {
+    console.log(`  ${what}: ${count}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});